@@ -1,8 +1,11 @@
 // Main application entry point for React Native Chat App
 // Manages navigation structure and authentication flow
-import React from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 // Import React Navigation containers and navigators
 import { NavigationContainer } from '@react-navigation/native';
+// Import AppState to tell foreground from background for new-message alerts,
+// and the components of the splash shown while the session is restored
+import { AppState, View, Image, ActivityIndicator, StyleSheet } from 'react-native';
 import { createStackNavigator } from '@react-navigation/stack';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 
@@ -11,104 +14,319 @@ import ChatScreen from './ChatScreen';
 import { ListUsers } from './ListUsers';
 import SignUpScreen from './SignUpScreen';
 import LoginScreen from './LoginScreen';
+import ForgotPasswordScreen from './ForgotPasswordScreen';
+import VerifyEmailScreen from './VerifyEmailScreen';
 import SettingsScreen from './SettingsScreen_withstorage';
+import CreateGroupScreen from './CreateGroupScreen';
+import GroupInfoScreen from './GroupInfoScreen';
+import SearchScreen from './SearchScreen';
+import SafetyNumberScreen from './SafetyNumberScreen';
+import RequestsScreen from './RequestsScreen';
+import ReportScreen from './ReportScreen';
 // Import custom authentication hook
 import useAuthentication from './useAuthentication';
+// Import optional auto-logout after inactivity (Settings)
+import useInactivityLogout from './useInactivityLogout';
 // Import icon library for tab bar icons
 import { Ionicons } from '@expo/vector-icons';
 // Import theme provider and hook for dark/light mode support
 import { ThemeProvider, useTheme } from './ThemeContext';
+// Import preferences provider for user settings such as read receipts
+import { PreferencesProvider, usePreferences } from './PreferencesContext';
 // Import Toast for global notifications
 import Toast from 'react-native-toast-message';
+// Import one-off migration of legacy messages into per-conversation storage
+import { migrateLegacyChats, backfillInboxSummaries } from './conversations';
+// Import one-off conversion of existing chat partners into buddies, and the blocked users listener
+import { migrateExistingContacts, subscribeBlocked } from './contacts';
+// Import offline outbox that retries unsent messages when connectivity returns
+import { startOutbox } from './outbox';
+// Import global unread listener for the Chat tab badge and new-message banners
+import { startUnreadListener } from './unreadMessages';
+// Import navigation ref so banners can open a conversation
+import { navigationRef, openConversation } from './RootNavigation';
+// Import local notifications for messages received in the background
+import { requestNotificationPermission, notifyIncomingMessage, startNotificationResponses } from './notifications';
+// Import key pair loading for end-to-end encrypted chats
+import { loadKeyPair, clearKeyPair } from './encryption';
+// Import the one-off move of the user's profile to its email key
+import { migrateProfile } from './profiles';
 
 // Create navigator instances
-const Stack = createStackNavigator(); // For auth screens (SignUp, Login)
-const Tab = createBottomTabNavigator(); // For main app tabs (Buddies, Chat, Settings)
+const Stack = createStackNavigator(); // For auth screens (SignUp, Login) and screens opened above the tabs
+const Tab = createBottomTabNavigator(); // For main app tabs (Buddies, Chat, Search, Settings)
+
+// Bottom tab navigator shown to authenticated users
+// Nested in a stack so screens like group creation can open on top of the tabs
+// unreadTotal is shown as a badge on the Chat tab
+function MainTabs({ unreadTotal }) {
+  const { theme } = useTheme(); // Access current theme (light/dark mode)
+
+  return (
+    <Tab.Navigator
+      screenOptions={({ route }) => ({
+        // Custom icon renderer for each tab
+        tabBarIcon: ({ focused, color, size }) => {
+          let iconName;
+
+          // Select appropriate icon based on tab name and focus state
+          if (route.name === 'ChatScreen') {
+            iconName = focused ? 'chatbubble' : 'chatbubble-outline';
+          } else if (route.name === 'Settings') {
+            iconName = focused ? 'settings' : 'settings-outline';
+          } else if (route.name === 'ListUsers') {
+            iconName = focused ? 'people' : 'people-outline';
+          } else if (route.name === 'Search') {
+            iconName = focused ? 'search' : 'search-outline';
+          }
+
+          return <Ionicons name={iconName} size={size} color={color} />;
+        },
+        // Orange color for active tab (brand consistency)
+        tabBarActiveTintColor: '#F97316',
+        tabBarInactiveTintColor: theme.textSecondary, // Adapts to theme
+        // Enhanced tab bar styling that adapts to dark/light mode
+        tabBarStyle: {
+          height: 60, // Increased height for better touch targets
+          paddingBottom: 8, // Space from bottom edge
+          paddingTop: 8, // Space from top edge
+          borderTopWidth: 1, // Subtle top border
+          borderTopColor: theme.border, // Theme-aware border color
+          backgroundColor: theme.cardBackground, // Adapts to dark/light mode
+          elevation: 8, // Android shadow for depth
+          shadowColor: theme.shadow, // Theme-aware shadow
+          shadowOffset: { width: 0, height: -2 },
+          shadowOpacity: 0.1,
+          shadowRadius: 4,
+        },
+        tabBarLabelStyle: {
+          fontSize: 12, // Readable label size
+          fontWeight: '600', // Semi-bold for emphasis
+          marginTop: 4, // Space between icon and label
+        },
+        tabBarIconStyle: {
+          marginTop: 4, // Vertical centering
+        },
+      })}
+    >
+      {/* Main tabs: Buddies list, Chat screen, message Search, and Settings */}
+      <Tab.Screen name="ListUsers" component={ListUsers} options={{ title: 'Buddies', headerShown: false }} />
+      <Tab.Screen
+        name="ChatScreen"
+        component={ChatScreen}
+        options={{
+          title: 'Chat',
+          headerShown: false,
+          tabBarBadge: unreadTotal > 0 ? (unreadTotal > 99 ? '99+' : unreadTotal) : undefined,
+        }}
+      />
+      <Tab.Screen name="Search" component={SearchScreen} options={{ title: 'Search', headerShown: false }} />
+      <Tab.Screen name="Settings" component={SettingsScreen} options={{ title: 'Settings', headerShown: false }} />
+    </Tab.Navigator>
+  );
+}
+
+// Splash shown while Firebase restores the persisted session on launch,
+// matching the native splash (app.json) so signed-in users never see the Login screen flash
+function SplashScreen() {
+  return (
+    <View style={styles.splash}>
+      <Image source={require('./assets/splash.png')} style={styles.splashImage} resizeMode="contain" />
+      <ActivityIndicator size="large" color="#6366F1" style={styles.splashSpinner} />
+    </View>
+  );
+}
 
 // Navigation component that uses theme context
 // Separated from App to access ThemeProvider's context
 function AppNavigation() {
-  const {user} = useAuthentication(); // Get current authenticated user
+  const {user: authUser, initializing, emailVerified, verificationExempt, reload} = useAuthentication(); // Get current authenticated user
+  // The app (and everything below that syncs data) only starts once the email is verified,
+  // except for accounts created before verification was required
+  const user = emailVerified || verificationExempt ? authUser : null;
   const { theme } = useTheme(); // Access current theme (light/dark mode)
+  const [unreadTotal, setUnreadTotal] = useState(0); // Unread messages across all conversations
+  const { preferences } = usePreferences(); // Notification, mute and auto-logout settings
+  // Any touch in the app counts as activity for the auto-logout timer
+  const markActivity = useInactivityLogout(user?.email, preferences.autoLogoutMinutes);
+  // Latest preferences for the long-lived listener below, without restarting it on every change
+  const preferencesRef = useRef(preferences);
+  preferencesRef.current = preferences;
+  // Users blocked by the signed-in user, whose messages are never announced
+  const blockedRef = useRef([]);
+
+  useEffect(() => {
+    blockedRef.current = [];
+    if (!user?.email) return;
+    return subscribeBlocked(user.email, (blocked) => {
+      blockedRef.current = blocked;
+    });
+  }, [user?.email]);
+
+  // Move the user's messages out of the legacy global "chats" collection once signed in,
+  // then give older conversations their inbox summary and make existing chat partners buddies
+  useEffect(() => {
+    if (user?.email) {
+      migrateLegacyChats(user.email)
+        .then(() => backfillInboxSummaries(user.email))
+        .then(() => migrateExistingContacts(user.email));
+    }
+  }, [user?.email]);
+
+  // Load the user's encryption key pair after sign-in (created on first use) and forget it on sign-out
+  // The profile is moved to its email key first, so the public key is published on the right document
+  useEffect(() => {
+    if (user?.email) {
+      migrateProfile(user.email)
+        .then(() => loadKeyPair(user.email))
+        .catch((error) => console.error('Error loading encryption keys:', error));
+    } else {
+      clearKeyPair();
+    }
+  }, [user?.email]);
+
+  // Run the outbox for the signed-in user so unsent messages are retried in any conversation
+  useEffect(() => {
+    if (!user?.email) return;
+    return startOutbox(user.email);
+  }, [user?.email]);
+
+  // Count unread messages for the Chat tab badge and announce new messages
+  // from conversations that are not on screen: a tappable banner in the foreground,
+  // a system notification in the background; muted conversations and blocked senders stay silent
+  useEffect(() => {
+    if (!user?.email) {
+      setUnreadTotal(0);
+      return;
+    }
+    return startUnreadListener(user.email, {
+      onTotalChange: setUnreadTotal,
+      onIncomingMessage: (conversation) => {
+        const { notificationsEnabled, notificationPreviews, mutedConversations } = preferencesRef.current;
+        if (mutedConversations.includes(conversation.id)) return;
+        if (blockedRef.current.includes(conversation.lastMessage?.senderId)) return;
+
+        if (AppState.currentState !== 'active') {
+          if (notificationsEnabled) {
+            notifyIncomingMessage(conversation, user.email, { showPreview: notificationPreviews })
+              .catch((error) => console.error('Error showing notification:', error));
+          }
+          return;
+        }
+
+        const { lastMessage } = conversation;
+        Toast.show({
+          type: 'info',
+          text1: conversation.isGroup ? conversation.name : lastMessage.senderName,
+          text2: conversation.isGroup ? `${lastMessage.senderName}: ${lastMessage.text}` : lastMessage.text,
+          position: 'top',
+          visibilityTime: 4000,
+          onPress: () => {
+            Toast.hide();
+            openConversation(conversation, user.email);
+          },
+        });
+      },
+    });
+  }, [user?.email]);
+
+  // Ask for notification permission after sign-in and open conversations from tapped notifications
+  useEffect(() => {
+    if (!user?.email) return;
+    if (preferencesRef.current.notificationsEnabled) {
+      requestNotificationPermission().catch((error) => console.error('Error requesting notification permission:', error));
+    }
+    return startNotificationResponses(user.email);
+  }, [user?.email]);
+
+  if (initializing) {
+    return <SplashScreen />;
+  }
 
   return (
-    <>
+    // Touches are observed (never captured) to reset the auto-logout timer
+    <View
+      style={styles.root}
+      onStartShouldSetResponderCapture={() => {
+        markActivity();
+        return false;
+      }}
+    >
       {/* Conditional rendering based on authentication state */}
       {user ? (
         // Authenticated users see the main app with bottom tab navigation
-        <NavigationContainer>
-          <Tab.Navigator
-            screenOptions={({ route }) => ({
-              // Custom icon renderer for each tab
-              tabBarIcon: ({ focused, color, size }) => {
-                let iconName;
-
-                // Select appropriate icon based on tab name and focus state
-                if (route.name === 'ChatScreen') {
-                  iconName = focused ? 'chatbubble' : 'chatbubble-outline';
-                } else if (route.name === 'Settings') {
-                  iconName = focused ? 'settings' : 'settings-outline';
-                } else if (route.name === 'ListUsers') {
-                  iconName = focused ? 'people' : 'people-outline';
-                }
-
-                return <Ionicons name={iconName} size={size} color={color} />;
-              },
-              // Orange color for active tab (brand consistency)
-              tabBarActiveTintColor: '#F97316',
-              tabBarInactiveTintColor: theme.textSecondary, // Adapts to theme
-              // Enhanced tab bar styling that adapts to dark/light mode
-              tabBarStyle: {
-                height: 60, // Increased height for better touch targets
-                paddingBottom: 8, // Space from bottom edge
-                paddingTop: 8, // Space from top edge
-                borderTopWidth: 1, // Subtle top border
-                borderTopColor: theme.border, // Theme-aware border color
-                backgroundColor: theme.cardBackground, // Adapts to dark/light mode
-                elevation: 8, // Android shadow for depth
-                shadowColor: theme.shadow, // Theme-aware shadow
-                shadowOffset: { width: 0, height: -2 },
-                shadowOpacity: 0.1,
-                shadowRadius: 4,
-              },
-              tabBarLabelStyle: {
-                fontSize: 12, // Readable label size
-                fontWeight: '600', // Semi-bold for emphasis
-                marginTop: 4, // Space between icon and label
-              },
-              tabBarIconStyle: {
-                marginTop: 4, // Vertical centering
-              },
-            })}
+        // Group screens open on top of the tabs with a theme-aware header
+        <NavigationContainer ref={navigationRef}>
+          <Stack.Navigator
+            screenOptions={{
+              headerStyle: { backgroundColor: theme.headerBg },
+              headerTintColor: theme.textLight,
+              cardStyle: { backgroundColor: theme.background },
+            }}
           >
-            {/* Three main tabs: Buddies list, Chat screen, and Settings */}
-            <Tab.Screen name="ListUsers" component={ListUsers} options={{ title: 'Buddies', headerShown: false }} />
-            <Tab.Screen name="ChatScreen" component={ChatScreen} options={{ title: 'Chat', headerShown: false }} />
-            <Tab.Screen name="Settings" component={SettingsScreen} options={{ title: 'Settings', headerShown: false }} />
-          </Tab.Navigator>
+            <Stack.Screen name="Main" options={{ headerShown: false }}>
+              {() => <MainTabs unreadTotal={unreadTotal} />}
+            </Stack.Screen>
+            <Stack.Screen name="CreateGroup" component={CreateGroupScreen} options={{ title: 'New Group' }} />
+            <Stack.Screen name="GroupInfo" component={GroupInfoScreen} options={{ title: 'Group Info' }} />
+            <Stack.Screen name="SafetyNumber" component={SafetyNumberScreen} options={{ title: 'Verify Security' }} />
+            <Stack.Screen name="BuddyRequests" component={RequestsScreen} options={{ title: 'Buddy Requests' }} />
+            <Stack.Screen name="Report" component={ReportScreen} options={{ title: 'Report User' }} />
+          </Stack.Navigator>
           {/* Toast component for displaying notifications */}
           <Toast />
         </NavigationContainer>
+      ) : authUser ? (
+        // Signed in with an unverified email: only the verify email screen
+        <NavigationContainer>
+          <Stack.Navigator>
+            <Stack.Screen name="VerifyEmail" options={{ title: 'Verify Email' }}>
+              {() => <VerifyEmailScreen onRefresh={reload} />}
+            </Stack.Screen>
+          </Stack.Navigator>
+        </NavigationContainer>
       ) : (
-        // Unauthenticated users see authentication screens (SignUp/Login)
+        // Unauthenticated users see authentication screens (SignUp/Login/ForgotPassword)
         <NavigationContainer>
           <Stack.Navigator>
             <Stack.Screen name="SignUp" component={SignUpScreen} />
             <Stack.Screen name="Login" component={LoginScreen} />
+            <Stack.Screen name="ForgotPassword" component={ForgotPasswordScreen} options={{ title: 'Forgot Password' }} />
           </Stack.Navigator>
         </NavigationContainer>  
       )}
-    </>
+    </View>
   );
 }
 
-// Main App component wrapper with ThemeProvider
-// This structure allows AppNavigation to access theme context
+// Main App component wrapper with ThemeProvider and PreferencesProvider
+// This structure allows AppNavigation and every screen to access theme and preferences context
 export default function App() {
   return (
     <ThemeProvider>
-      <AppNavigation />
+      <PreferencesProvider>
+        <AppNavigation />
+      </PreferencesProvider>
     </ThemeProvider>
   );
 }
 
+const styles = StyleSheet.create({
+  root: {
+    flex: 1,
+  },
+  splash: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#ffffff',
+  },
+  splashImage: {
+    width: '100%',
+    height: '100%',
+  },
+  splashSpinner: {
+    position: 'absolute',
+    bottom: 80,
+  },
+});
@@ -0,0 +1,102 @@
+// Multi-select list of the user's buddies
+// Used when creating a group and when adding members to an existing group
+import React, { useEffect, useState } from 'react';
+// Import React Native components for rendering the list
+import { Text, Pressable, FlatList, Image, StyleSheet } from 'react-native';
+// Import Firebase auth instance to identify the current user
+import { auth } from './firebase';
+// Import buddy listener and profile loading
+import { subscribeContacts } from './contacts';
+import { fetchProfiles, displayNameOf } from './profiles';
+// Import custom theme hook for dark/light mode support
+import { useTheme } from './ThemeContext';
+// Import icon library for selection markers
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+
+// Props:
+// - selected: array of selected emails
+// - onToggle(email): called when a row is pressed
+// - exclude: emails that must not be offered (e.g. existing members)
+// - ListHeaderComponent: rendered above the rows (form fields of the parent screen)
+export const BuddyPicker = ({ selected, onToggle, exclude = [], ListHeaderComponent }) => {
+  const { theme } = useTheme();
+  const [buddies, setBuddies] = useState([]);
+
+  // Load the profiles of the user's accepted buddies (only buddies can be added to groups)
+  useEffect(() => {
+    return subscribeContacts(auth.currentUser.email, async (contacts) => {
+      try {
+        const profiles = await fetchProfiles(contacts.buddies);
+        setBuddies(contacts.buddies.map((email) =>
+          profiles.find((profile) => profile.email === email) || { id: email, email }
+        ));
+      } catch (error) {
+        console.error('Error fetching buddies:', error);
+      }
+    });
+  }, []);
+
+  return (
+    <FlatList
+      data={buddies.filter((buddy) => !exclude.includes(buddy.email))}
+      keyExtractor={(item) => item.id}
+      ListHeaderComponent={ListHeaderComponent}
+      ListEmptyComponent={
+        <Text style={[styles.emptyText, { color: theme.textSecondary }]}>No buddies to add</Text>
+      }
+      renderItem={({ item }) => {
+        const isSelected = selected.includes(item.email);
+        return (
+          <Pressable
+            style={[
+              styles.row,
+              { backgroundColor: theme.cardBackground, borderColor: isSelected ? theme.primary : theme.border },
+            ]}
+            onPress={() => onToggle(item.email)}
+          >
+            <Image
+              source={{ uri: item.avatar || 'https://randomuser.me/api/portraits/lego/1.jpg' }}
+              style={[styles.avatar, { borderColor: theme.border }]}
+            />
+            <Text style={[styles.email, { color: theme.text }]}>{displayNameOf(item, item.email)}</Text>
+            {/* Filled circle for selected buddies, empty circle otherwise */}
+            <MaterialCommunityIcons
+              name={isSelected ? 'checkbox-marked-circle' : 'checkbox-blank-circle-outline'}
+              size={24}
+              color={isSelected ? theme.primary : theme.textSecondary}
+            />
+          </Pressable>
+        );
+      }}
+    />
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginHorizontal: 12,
+    marginVertical: 4,
+    borderRadius: 14,
+    borderWidth: 1,
+  },
+  avatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    marginRight: 12,
+    borderWidth: 2,
+  },
+  email: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  emptyText: {
+    textAlign: 'center',
+    marginTop: 24,
+    fontSize: 14,
+  },
+});
@@ -1,37 +1,82 @@
 // Import necessary React hooks for state management and lifecycle
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 // Import React Native components for UI rendering
-import { Pressable, Text, View, Image, StyleSheet, TextInput, Dimensions } from 'react-native';
+import { Pressable, Text, View, Image, Dimensions, Alert, AppState } from 'react-native';
 // Import GiftedChat library and InputToolbar component for chat UI
 import { GiftedChat, InputToolbar } from 'react-native-gifted-chat';
 // Import custom theme hook for dark/light mode support
 import { useTheme } from './ThemeContext';
-// Import Firestore functions for database operations
-import {
-  collection,
-  addDoc,
-  orderBy,
-  query,
-  onSnapshot,
-  where,
-  getDocs,
-} from 'firebase/firestore';
 // Import Firebase authentication for user sign out
 import { signOut } from 'firebase/auth';
-// Import Firebase configuration and database instance
-import { auth, db } from './firebase';
+// Import Firebase configuration
+import { auth } from './firebase';
+// Import conversation helpers for per-conversation message storage
+import {
+  getConversationId,
+  markMessagesSeen,
+  subscribeConversation,
+  newMessageId,
+  canModifyMessage,
+  editMessage,
+  deleteMessageForEveryone,
+  toReplyReference,
+  setReaction,
+  removeReaction,
+  markConversationRead,
+} from './conversations';
+// Import inbox shown while no conversation is open
+import InboxScreen from './InboxScreen';
+// Import active conversation tracking (no new-message banners for the open chat)
+import { setActiveConversation } from './unreadMessages';
+// Import notification cleanup for the opened conversation
+import { dismissConversationNotification } from './notifications';
+// Import offline outbox for optimistic sending with retry
+import { queueMessage, retryMessage, discardMessage, subscribeOutbox } from './outbox';
+// Import paginated message listener hook
+import useMessages from './useMessages';
+// Import typing indicator hook
+import useTyping from './useTyping';
+// Import attachment pickers and upload helper
+import { pickImageAttachment, pickDocumentAttachment, uploadAttachment, MAX_ATTACHMENT_BYTES } from './attachments';
+// Import attachment renderer for bubbles
+import { MessageAttachment } from './MessageAttachment';
+// Import hold-to-record mic button for voice notes
+import { VoiceRecorderButton } from './VoiceRecorderButton';
+// Import duration formatter for the recording bar
+import { formatDuration } from './voiceNotes';
+// Import swipe-to-reply wrapper and quoted message preview
+import { SwipeToReply } from './SwipeToReply';
+import { QuotedMessage } from './QuotedMessage';
+// Import long-press menu for message actions
+import { MessageActionsMenu } from './MessageActionsMenu';
+// Import reaction bar, emoji picker and reaction chips
+import { ReactionBar } from './ReactionBar';
+import { EmojiPicker } from './EmojiPicker';
+import { MessageReactions } from './MessageReactions';
+// Import presence helpers for the "online" / "last seen" header subtitle
+import { subscribePresence, formatPresence, goOffline } from './presence';
+// Import encryption helpers for the "end-to-end encrypted" indicator
+import { fetchPublicKey, getOwnPublicKey, getVerifiedKey, subscribeKeyPair } from './encryption';
+// Import buddy status, requests and blocking: only accepted buddies without a block can message each other
+import { subscribeBuddy, sendBuddyRequest, acceptBuddyRequest, subscribeBlocked, blockUser, unblockUser } from './contacts';
+// Import profile helpers for display names, status and private emails
+import { findProfile, displayNameOf, visibleEmailOf } from './profiles';
+// Import profile listener hook for the people in the chat
+import useProfiles from './useProfiles';
 // Import navigation hooks for screen transitions
-import { useNavigation, useFocusEffect } from '@react-navigation/native';
-// Import icon library for UI elements
-import { AntDesign } from '@expo/vector-icons';
+import { useNavigation, useFocusEffect, useIsFocused } from '@react-navigation/native';
+// Import icon libraries for UI elements
+import { AntDesign, Ionicons } from '@expo/vector-icons';
+// Import preferences hook for the read receipts privacy setting
+import { usePreferences } from './PreferencesContext';
 // Import color constants (legacy - now using theme)
 import colors from './colors';
 // Import route hook to access navigation parameters
 import { useRoute } from '@react-navigation/native';
+// Import Toast for in-app notices
+import Toast from 'react-native-toast-message';
 
 export default function ChatScreen() {
-  // Initialize state for storing chat messages array
-  const [messages, setMessages] = useState([]);
   // Store current user's avatar URL
   const [avatar, setAvatar] = useState(null);
   // Store the email of the chat recipient
@@ -40,46 +85,76 @@ export default function ChatScreen() {
   const [user, setUser] = useState(null);
   // Track if user is chatting with themselves (personal notes mode)
   const [isSelfChat, setIsSelfChat] = useState(false);
+  // Conversation ID of the open group (null for 1:1 chats)
+  const [groupId, setGroupId] = useState(null);
+  // Live group document: name, picture, participants and admins
+  const [group, setGroup] = useState(null);
   // Access navigation object for screen transitions
   const navigation = useNavigation();
   // Access route parameters passed from previous screen
   const route = useRoute();
   // Get current theme (light/dark mode) from context
   const { theme } = useTheme();
+  // Read receipts are only sent when the user allows it in Settings
+  const { preferences } = usePreferences();
+  // Receipts are only recorded while this screen is visible and the app is in the foreground
+  const isFocused = useIsFocused();
+  const [appState, setAppState] = useState(AppState.currentState);
   
   // Calculate maximum bubble width (80% of screen width minus margins)
   const screenWidth = Dimensions.get('window').width;
   const maxBubbleWidth = screenWidth * 0.8 - 16; // 80% minus horizontal margins
 
+  // Groups have a generated ID; both participants of a 1:1 chat resolve to the same conversation document
+  const conversationId = useMemo(() => {
+    if (groupId) return groupId;
+    return receiver && user ? getConversationId(user, receiver) : null;
+  }, [groupId, receiver, user]);
+  // Whether the signed-in user is (still) a member of the open group
+  const isGroupMember = !groupId || !group || group.participants?.includes(user);
+
   // Set current user's email when component mounts
   useEffect(() => {
     setUser(auth.currentUser.email);
   }, []);
 
-  // Update receiver and self-chat mode when route params change
-  // This triggers when user selects someone from the buddies list
+  // Update receiver/group and self-chat mode when route params change
+  // This triggers when user selects someone (or a group) from the buddies list
   useEffect(() => {
-    if (route.params?.receiver) {
+    if (route.params?.isGroup && route.params?.conversationId) {
+      setGroupId(route.params.conversationId);
+      setReceiever(null);
+      setIsSelfChat(false);
+    } else if (route.params?.receiver) {
+      setGroupId(null);
       setReceiever(route.params.receiver);
       setIsSelfChat(route.params?.isSelfChat || false);
     }
+    // Opened from a search result: jump to the matching message
+    if (route.params?.scrollToMessageId) {
+      setScrollTargetId(route.params.scrollToMessageId);
+    }
   }, [route.params]);
 
+  // Keep the group document in sync (name, picture and members can change while open)
+  useEffect(() => {
+    setGroup(null);
+    if (!groupId) return;
+    return subscribeConversation(groupId, setGroup);
+  }, [groupId]);
+
   // Fetch user's avatar from Firestore when screen comes into focus
   // useFocusEffect runs every time the screen is focused (navigated to)
   useFocusEffect(
     useCallback(() => {
       const fetchAvatar = async () => {
         try {
-          // Query Firestore to find avatar document matching current user's email
-          const q = query(collection(db, "avatars"), where("email", "==", auth.currentUser.email));
-          const querySnapshot = await getDocs(q);
-
-          // If avatar document exists, update state with avatar URL
-          if (!querySnapshot.empty) {
-            querySnapshot.forEach((doc) => {
-              setAvatar(doc.data().avatar);
-            });
+          // Fetch the current user's profile document
+          const profile = await findProfile(auth.currentUser.email);
+
+          // If the profile exists, update state with avatar URL
+          if (profile) {
+            setAvatar(profile.data().avatar);
           }
         } catch (error) {
           // Log any errors during avatar fetch for debugging
@@ -90,96 +165,616 @@ export default function ChatScreen() {
     }, [])
   );
 
-  // Set up real-time message listener when receiver or user changes
+  // Subscribe to the newest page of messages; older pages load on demand
+  const { messages: storedMessages, hasEarlier, isLoading: isLoadingMessages, isLoadingEarlier, loadEarlier } = useMessages(conversationId);
+
+  // Profiles of the people in this chat (members and authors of the loaded messages),
+  // for display names in the header, banner and group bubbles
+  const profiles = useProfiles([
+    user,
+    receiver,
+    ...(group?.participants || []),
+    ...storedMessages.map((message) => message.user?._id),
+  ]);
+  // Display name of any participant (emails stay hidden unless the user shares theirs)
+  const nameOf = useCallback((email) => displayNameOf(profiles[email], email), [profiles]);
+  // Typing indicator: publish our own state and watch the buddy's (not needed for personal notes)
+  const { typingUsers, onInputTextChanged, stopTyping } = useTyping(isSelfChat ? null : conversationId, user);
+  const isBuddyTyping = typingUsers.length > 0;
+
+  // Buddy relationship with the receiver (1:1 chats only): undefined while loading,
+  // null without any request, otherwise { status, requestedBy }
+  const [buddyLink, setBuddyLink] = useState(undefined);
   useEffect(() => {
-    // Exit early if receiver or user is not set yet
-    if (!receiver || !user) return;
-
-    // Create a simple Firestore query to fetch all chats ordered by timestamp
-    // We use client-side filtering instead of complex queries to avoid index requirements
-    const chatQuery = query(
-      collection(db, 'chats'),
-      orderBy('createdAt', 'desc')
-    );
+    setBuddyLink(undefined);
+    if (!receiver || isSelfChat || groupId || !user) return;
+    return subscribeBuddy(user, receiver, setBuddyLink);
+  }, [receiver, isSelfChat, groupId, user]);
 
-    // Subscribe to real-time updates from Firestore
-    // onSnapshot triggers whenever data changes in the database
-    const unsubscribe = onSnapshot(chatQuery, (snapshot) => {
-      // Map Firestore documents to message objects
-      const allMessages = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data(),
-        // Convert Firestore timestamp to JavaScript Date object
-        createdAt: doc.data().createdAt?.toDate ? doc.data().createdAt.toDate() : new Date(),
-      }));
-
-      // Filter messages to show only conversation between current user and receiver
-      // This handles both directions: user→receiver and receiver→user
-      const filteredMessages = allMessages.filter(msg => {
-        const msgUser = msg.user?._id || msg.user;
-        const msgReceiver = msg.receiver;
-        
-        return (
-          (msgUser === user && msgReceiver === receiver) ||
-          (msgUser === receiver && msgReceiver === user)
-        );
+  // Buddy's online presence shown under their name in the header
+  // Only accepted buddies share their presence (firestore.rules)
+  const [buddyPresence, setBuddyPresence] = useState(null);
+  const isAcceptedBuddy = buddyLink?.status === 'accepted';
+  useEffect(() => {
+    setBuddyPresence(null);
+    if (!receiver || isSelfChat || !isAcceptedBuddy) return;
+    return subscribePresence(receiver, setBuddyPresence);
+  }, [receiver, isSelfChat, isAcceptedBuddy]);
+
+  // Users blocked by the current user: their messages are hidden everywhere
+  const [blocked, setBlocked] = useState([]);
+  useEffect(() => {
+    if (!user) return;
+    return subscribeBlocked(user, setBlocked);
+  }, [user]);
+  const isReceiverBlocked = Boolean(receiver) && !isSelfChat && !groupId && blocked.includes(receiver);
+
+  // The composer is replaced by a prompt while the receiver is blocked or not an accepted buddy
+  const isMessagingBlocked = Boolean(receiver) && !isSelfChat && !groupId
+    && (isReceiverBlocked || (buddyLink !== undefined && buddyLink?.status !== 'accepted'));
+
+  // Send a buddy request to the receiver, or accept theirs
+  const requestBuddy = () => {
+    const request = buddyLink?.status === 'pending' && buddyLink.requestedBy === receiver
+      ? acceptBuddyRequest(user, receiver)
+      : sendBuddyRequest(user, receiver);
+    request.catch((error) => {
+      console.error('Error sending buddy request:', error);
+      Toast.show({ type: 'error', text1: 'Request Not Sent', text2: error.message, position: 'top' });
+    });
+  };
+
+  // Block the receiver after confirming, or lift the block right away
+  const toggleBlock = () => {
+    if (isReceiverBlocked) {
+      unblockUser(user, receiver).catch((error) => console.error('Error unblocking user:', error));
+      return;
+    }
+    Alert.alert('Block user?', `You won't see messages from ${nameOf(receiver)} and you won't be able to message each other until you unblock them.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Block',
+        style: 'destructive',
+        onPress: () => blockUser(user, receiver).catch((error) => console.error('Error blocking user:', error)),
+      },
+    ]);
+  };
+
+  // Open the report form for a user, optionally with one of their messages preselected
+  const openReport = (reportedUser, messageId) => {
+    navigation.navigate('Report', { reportedUser, reportedName: nameOf(reportedUser), conversationId, messageId });
+  };
+
+  // Buddy's public key and the key this device verified for them (1:1 chats only)
+  // A 1:1 chat is end-to-end encrypted once both users have published a key
+  const [buddyKey, setBuddyKey] = useState(null);
+  const [verifiedBuddyKey, setVerifiedBuddyKey] = useState(null);
+  const [ownKey, setOwnKey] = useState(getOwnPublicKey());
+  useEffect(() => subscribeKeyPair(() => setOwnKey(getOwnPublicKey())), []);
+  // Re-read on focus so a key verified on the safety number screen shows up when coming back
+  useFocusEffect(
+    useCallback(() => {
+      setBuddyKey(null);
+      setVerifiedBuddyKey(null);
+      if (!receiver || isSelfChat || groupId || !user) return;
+      let active = true;
+      fetchPublicKey(receiver, { refresh: true })
+        .then((publicKey) => active && setBuddyKey(publicKey))
+        .catch((error) => console.error('Error fetching public key:', error));
+      getVerifiedKey(user, receiver)
+        .then((verified) => active && setVerifiedBuddyKey(verified))
+        .catch((error) => console.error('Error reading verified key:', error));
+      return () => {
+        active = false;
+      };
+    }, [receiver, isSelfChat, groupId, user])
+  );
+  const isEncrypted = !groupId && !isSelfChat && Boolean(buddyKey) && Boolean(ownKey);
+  // The buddy's key differs from the one verified earlier (new phone, reinstall, or a swapped key)
+  const buddyKeyChanged = isEncrypted && Boolean(verifiedBuddyKey) && verifiedBuddyKey !== buddyKey;
+
+  // Outgoing messages not yet confirmed by Firestore for this conversation
+  const [outboxEntries, setOutboxEntries] = useState([]);
+  // Attachments being uploaded (all conversations): { conversationId, message, file, target, progress, status }
+  const [uploads, setUploads] = useState([]);
+  // Cancel functions of running uploads keyed by message ID
+  const uploadCancelsRef = useRef({});
+  // Composer text (controlled so a message can be loaded into it for editing)
+  const [composerText, setComposerText] = useState('');
+  // Message being edited through the composer (null when composing a new message)
+  const [editingMessage, setEditingMessage] = useState(null);
+  // Message whose long-press menu is open
+  const [menuMessage, setMenuMessage] = useState(null);
+  // Message being reacted to through the full emoji picker
+  const [emojiPickerMessage, setEmojiPickerMessage] = useState(null);
+  // Message being replied to (quoted on the next message sent)
+  const [replyingTo, setReplyingTo] = useState(null);
+  // Message the list should scroll to once it is loaded (e.g. tapped quote)
+  const [scrollTargetId, setScrollTargetId] = useState(null);
+  // Message briefly highlighted after scrolling to it
+  const [highlightedId, setHighlightedId] = useState(null);
+  // GiftedChat's message FlatList, used to scroll to a specific message
+  const messageListRef = useRef(null);
+  // Voice note recording state shown above the composer
+  const [recordingState, setRecordingState] = useState({ isRecording: false, durationMs: 0, willCancel: false });
+
+  // Keep outbox entries of the open conversation in sync
+  useEffect(() => {
+    return subscribeOutbox((entries) => {
+      setOutboxEntries(entries.filter((entry) => entry.conversationId === conversationId));
+    });
+  }, [conversationId]);
+
+  // Leave edit/reply mode when switching conversations
+  // A pending jump from a search result survives the switch it caused
+  useEffect(() => {
+    setEditingMessage(null);
+    setMenuMessage(null);
+    setEmojiPickerMessage(null);
+    setReplyingTo(null);
+    setScrollTargetId(route.params?.scrollToMessageId || null);
+    setComposerText('');
+  }, [conversationId]);
+
+  // Merge outbox entries into the stored messages
+  // Outbox status wins so a message shows as pending/failed until the server confirms it
+  // Messages from blocked users are left out
+  const messages = useMemo(() => {
+    const byId = new Map(storedMessages
+      .filter((message) => !blocked.includes(message.user?._id))
+      .map((message) => [message._id, message]));
+    outboxEntries.forEach((entry) => {
+      byId.set(entry.message._id, {
+        ...byId.get(entry.message._id),
+        ...entry.message,
+        pending: entry.status === 'pending',
+        failed: entry.status === 'failed',
       });
+    });
+    // Attachments still uploading show as pending bubbles with a progress bar
+    uploads
+      .filter((upload) => upload.conversationId === conversationId)
+      .forEach((upload) => {
+        byId.set(upload.message._id, {
+          ...upload.message,
+          pending: upload.status === 'uploading',
+          uploadProgress: upload.status === 'uploading' ? upload.progress : null,
+          failed: upload.status === 'failed',
+          uploadFailed: upload.status === 'failed',
+        });
+      });
+    return [...byId.values()].sort((a, b) => b.createdAt - a.createdAt);
+  }, [storedMessages, outboxEntries, uploads, conversationId, blocked]);
 
-      // Sort messages with newest first (GiftedChat displays in reverse)
-      filteredMessages.sort((a, b) => b.createdAt - a.createdAt);
-      
-      // Update state with filtered and sorted messages
-      setMessages(filteredMessages);
-    }, (error) => {
-      // Handle any errors during message fetching
-      console.error("Error fetching messages:", error);
+  // Track foreground/background state so messages aren't marked read while the app is hidden
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', setAppState);
+    return () => subscription.remove();
+  }, []);
+
+  // The user's unread counter on the open conversation (inbox badge)
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  useEffect(() => {
+    setUnreadCount(0);
+    if (!conversationId || !user) return;
+    return subscribeConversation(conversationId, (conversation) => {
+      setUnreadCount(conversation?.unread?.[user] || 0);
     });
+  }, [conversationId, user]);
 
-    // Cleanup function to unsubscribe from listener when component unmounts
-    // This prevents memory leaks and unnecessary database reads
-    return () => {
-      unsubscribe();
-    };
-  }, [receiver, user]);
+  // Tell the global unread listener which conversation is on screen
+  // In the background nothing is on screen, so new messages raise a notification
+  useEffect(() => {
+    if (!isFocused || !conversationId || appState !== 'active') return;
+    setActiveConversation(conversationId);
+    dismissConversationNotification(conversationId);
+    return () => setActiveConversation(null);
+  }, [isFocused, conversationId, appState]);
+
+  // Clear the counter while the conversation is on screen
+  // Independent of read receipts: this only affects the user's own inbox
+  useEffect(() => {
+    if (unreadCount > 0 && isFocused && appState === 'active') {
+      markConversationRead(conversationId, user)
+        .catch((error) => console.error("Error clearing unread count:", error));
+    }
+  }, [unreadCount, conversationId, user, isFocused, appState]);
+
+  // Message IDs with a receipt write in progress, to avoid duplicate writes between snapshots
+  const pendingReceiptsRef = useRef(new Set());
+
+  // Mark incoming messages as delivered (and read, if enabled) while the conversation is open
+  useEffect(() => {
+    if (!conversationId || !user || !isFocused || appState !== 'active') return;
+
+    const sendRead = preferences.readReceipts;
+    const unseen = storedMessages.filter((message) =>
+      message.user?._id !== user &&
+      !pendingReceiptsRef.current.has(message.id) &&
+      (!message.deliveredTo?.includes(user) || (sendRead && !message.readBy?.includes(user)))
+    );
+    if (unseen.length === 0) return;
+
+    const ids = unseen.map((message) => message.id);
+    ids.forEach((id) => pendingReceiptsRef.current.add(id));
+    markMessagesSeen(conversationId, ids, user, { read: sendRead })
+      .catch((error) => console.error("Error updating receipts:", error))
+      .finally(() => ids.forEach((id) => pendingReceiptsRef.current.delete(id)));
+  }, [storedMessages, conversationId, user, isFocused, appState, preferences.readReceipts]);
+
+  // Recipients whose receipts decide the tick marks on sent messages
+  // In groups a message is only delivered/read once every other member has seen it
+  const recipients = useMemo(() => {
+    if (groupId) return (group?.participants || []).filter((email) => email !== user);
+    return isSelfChat || !receiver ? [] : [receiver];
+  }, [groupId, group, user, isSelfChat, receiver]);
+
+  // Resolve the receipt state of a sent message: 'read', 'delivered', 'sent' or null (self-chat)
+  const getReceiptStatus = (message) => {
+    if (recipients.length === 0) return null;
+    if (recipients.every((email) => message.readBy?.includes(email))) return 'read';
+    if (recipients.every((email) => message.deliveredTo?.includes(email))) return 'delivered';
+    return 'sent';
+  };
+
+  // Sender details attached to every message (also passed to GiftedChat as "user")
+  const chatUser = useMemo(() => ({
+    _id: auth?.currentUser?.email,
+    name: nameOf(auth?.currentUser?.email),
+    avatar: avatar || 'https://randomuser.me/api/portraits/lego/1.jpg',
+  }), [avatar, nameOf]);
 
-  // Handle sending new messages to Firestore
+  // Where the composer currently writes to
+  // Group membership is managed on the group document, so groups pass no participants
+  const sendTarget = useMemo(() => ({
+    conversationId,
+    participants: groupId ? null : [user, receiver],
+    receiver: groupId ? null : receiver,
+  }), [conversationId, groupId, user, receiver]);
+
+  // Handle sending new messages
+  // Messages go through the outbox: they show immediately as pending and are retried until Firestore confirms them
   // useCallback prevents function recreation on every render for performance
   const onSend = useCallback(async (messages = []) => {
     // Validate that both receiver and user are defined before sending
-    if (!receiver || !user) {
+    if (!conversationId) {
       console.error("Receiver or user not defined");
       return;
     }
 
+    // Sending ends the typing state right away instead of waiting for it to expire
+    stopTyping();
+
+    // While editing, the composer text replaces the edited message instead of sending a new one
+    if (editingMessage) {
+      const edited = editingMessage;
+      setEditingMessage(null);
+      try {
+        if (messages[0].text && messages[0].text !== edited.text) {
+          await editMessage(conversationId, edited, messages[0].text);
+        }
+      } catch (error) {
+        console.error("Error editing message:", error);
+        Alert.alert('Edit failed', 'The message could not be edited. The edit window may have passed.');
+      }
+      return;
+    }
+
     try {
       // Destructure message object to get required fields
       const { _id, createdAt, text, user: messageUser } = messages[0];
       
-      // Save message to Firestore database
-      // This triggers real-time updates for both sender and receiver
-      await addDoc(collection(db, 'chats'), {
+      // Quote the message being replied to, if any
+      const replyTo = replyingTo ? toReplyReference(replyingTo) : null;
+      setReplyingTo(null);
+
+      // Queue message for the conversation's messages subcollection
+      // Once written, this triggers real-time updates for both sender and receiver
+      await queueMessage(sendTarget.conversationId, sendTarget.participants, {
         _id,
         createdAt: createdAt || new Date(),
         text,
         user: messageUser,
-        receiver: receiver,
+        receiver: sendTarget.receiver,
+        ...(replyTo ? { replyTo } : {}),
       });
-
-      console.log("Message sent successfully");
     } catch (error) {
-      // Handle and log any errors during message sending
+      // Handle and log any errors during message queueing
       console.error("Error sending message:", error);
     }
-  }, [receiver, user]);
+  }, [conversationId, sendTarget, stopTyping, editingMessage, replyingTo]);
+
+  // Load a message into the composer for editing
+  const startEditing = (message) => {
+    setReplyingTo(null);
+    setEditingMessage(message);
+    setComposerText(message.text);
+  };
+
+  // Leave edit mode and clear the composer
+  const cancelEditing = () => {
+    setEditingMessage(null);
+    setComposerText('');
+  };
+
+  // Confirm and delete a message for everyone in the conversation
+  const confirmDelete = (message) => {
+    Alert.alert('Delete for everyone?', 'This message will be replaced with "message deleted" for everyone.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => deleteMessageForEveryone(conversationId, message).catch((error) => {
+          console.error("Error deleting message:", error);
+          Alert.alert('Delete failed', 'The message could not be deleted. The delete window may have passed.');
+        }),
+      },
+    ]);
+  };
+
+  // Only stored, non-deleted messages can be quoted or reacted to
+  const canInteractWith = (message) => Boolean(message.id) && !message.deleted;
+
+  // Quote a message in the next message sent (swipe right or long-press → Reply)
+  const startReply = (message) => {
+    if (editingMessage) cancelEditing();
+    setReplyingTo(message);
+  };
+
+  // Actions offered in the long-press menu of a message
+  // Edit and delete are limited to the author within the edit window (see MESSAGE_EDIT_WINDOW_MS)
+  const getMessageActions = (message) => {
+    if (!message) return [];
+    const actions = canInteractWith(message)
+      ? [{ key: 'reply', label: 'Reply', icon: 'reply', onPress: () => startReply(message) }]
+      : [];
+    // Other users' messages can be reported to moderators
+    if (message.user._id !== user) {
+      actions.push({ key: 'report', label: 'Report', icon: 'flag', destructive: true, onPress: () => openReport(message.user._id, message._id) });
+    }
+    if (!canModifyMessage(message, user)) return actions;
+    return [
+      ...actions,
+      ...(message.text ? [{ key: 'edit', label: 'Edit', icon: 'pencil', onPress: () => startEditing(message) }] : []),
+      { key: 'delete', label: 'Delete for everyone', icon: 'delete', destructive: true, onPress: () => confirmDelete(message) },
+    ];
+  };
+
+  // Scroll to a message, loading older pages until it is found
+  const scrollToMessage = (messageId) => setScrollTargetId(messageId);
+
+  // Drive the scroll request: each messages update either finds the target,
+  // triggers the next page of history, or gives up once history is exhausted
+  useEffect(() => {
+    if (!scrollTargetId) return;
+
+    const index = messages.findIndex((message) => message._id === scrollTargetId);
+    if (index >= 0) {
+      setScrollTargetId(null);
+      setHighlightedId(scrollTargetId);
+      messageListRef.current?.scrollToIndex({ index, viewPosition: 0.5, animated: true });
+      return;
+    }
+
+    // Wait for the first page before deciding whether older pages are needed
+    if (isLoadingMessages) return;
+
+    if (hasEarlier) {
+      if (!isLoadingEarlier) loadEarlier();
+      return;
+    }
+
+    setScrollTargetId(null);
+    Toast.show({
+      type: 'info',
+      text1: 'Message not found',
+      text2: 'The original message is no longer available.',
+      position: 'top',
+    });
+  }, [scrollTargetId, messages, isLoadingMessages, hasEarlier, isLoadingEarlier, loadEarlier]);
+
+  // Highlights fade after two seconds
+  useEffect(() => {
+    if (!highlightedId) return;
+    const timeout = setTimeout(() => setHighlightedId(null), 2000);
+    return () => clearTimeout(timeout);
+  }, [highlightedId]);
+
+  // Rows far from the viewport have no measured layout yet:
+  // jump close to the estimated offset, then retry once they have rendered
+  const onScrollToIndexFailed = (info) => {
+    messageListRef.current?.scrollToOffset({ offset: info.averageItemLength * info.index, animated: false });
+    setTimeout(() => {
+      messageListRef.current?.scrollToIndex({ index: info.index, viewPosition: 0.5, animated: true });
+    }, 100);
+  };
+
+  // Open the long-press menu (reactions and actions) for stored messages
+  const onMessageLongPress = (message) => {
+    if (canInteractWith(message)) {
+      setMenuMessage(message);
+    }
+  };
+
+  // React with an emoji; picking your current reaction again removes it
+  const toggleReaction = (message, emoji) => {
+    const request = message.reactions?.[user] === emoji
+      ? removeReaction(conversationId, message.id, user)
+      : setReaction(conversationId, message.id, user, emoji);
+    request.catch((error) => console.error("Error updating reaction:", error));
+  };
+
+
+  // Update one upload entry
+  const updateUpload = (messageId, changes) => {
+    setUploads((current) => current.map((upload) =>
+      upload.message._id === messageId ? { ...upload, ...changes } : upload
+    ));
+  };
+
+  // Upload an attachment, then send its message through the outbox with the download URL
+  // Canceled uploads disappear; failed uploads stay in the list with retry/delete
+  const runUpload = (upload) => {
+    const { message, file, target } = upload;
+    const { promise, cancel } = uploadAttachment(
+      target.conversationId,
+      message._id,
+      file,
+      (progress) => updateUpload(message._id, { progress })
+    );
+    uploadCancelsRef.current[message._id] = cancel;
+
+    promise
+      .then(async (url) => {
+        setUploads((current) => current.filter((item) => item.message._id !== message._id));
+        await queueMessage(target.conversationId, target.participants, {
+          ...message,
+          attachment: { ...message.attachment, url },
+          receiver: target.receiver,
+        });
+      })
+      .catch((error) => {
+        if (error.code === 'storage/canceled') {
+          setUploads((current) => current.filter((item) => item.message._id !== message._id));
+        } else {
+          console.error("Error uploading attachment:", error);
+          updateUpload(message._id, { status: 'failed' });
+        }
+      })
+      .finally(() => {
+        delete uploadCancelsRef.current[message._id];
+      });
+  };
+
+  // Start sending a picked file as an attachment message
+  const sendAttachment = (file) => {
+    if (!file || !conversationId) return;
+
+    if (file.size && file.size > MAX_ATTACHMENT_BYTES) {
+      Alert.alert('File too large', 'Attachments can be up to 25 MB.');
+      return;
+    }
+
+    // Attachments can quote a message too
+    const replyTo = replyingTo ? toReplyReference(replyingTo) : null;
+    setReplyingTo(null);
+
+    const upload = {
+      conversationId,
+      target: sendTarget,
+      file,
+      progress: 0,
+      status: 'uploading',
+      message: {
+        _id: newMessageId(conversationId),
+        createdAt: new Date(),
+        text: '',
+        user: chatUser,
+        ...(replyTo ? { replyTo } : {}),
+        // Local URI shows the thumbnail right away; replaced by the download URL once uploaded
+        attachment: {
+          type: file.type,
+          url: file.uri,
+          name: file.name,
+          size: file.size,
+          mimeType: file.mimeType,
+          ...(file.durationMs ? { durationMs: file.durationMs } : {}),
+        },
+      },
+    };
+    setUploads((current) => [...current, upload]);
+    runUpload(upload);
+  };
+
+  // Send a finished voice recording as an audio attachment
+  const sendVoiceNote = ({ uri, durationMs }) => {
+    sendAttachment({
+      uri,
+      name: `voice-${Date.now()}.m4a`,
+      size: null,
+      mimeType: 'audio/mp4',
+      type: 'audio',
+      durationMs,
+    });
+  };
+
+  // Attach button: choose between a photo and any document
+  const onAttachPress = () => {
+    Alert.alert('Send attachment', null, [
+      { text: 'Photo', onPress: async () => sendAttachment(await pickImageAttachment()) },
+      { text: 'Document', onPress: async () => sendAttachment(await pickDocumentAttachment()) },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  // Offer retry or delete for a message that could not be sent
+  // Failed attachment uploads restart the upload; other messages are retried from the outbox
+  const onFailedMessagePress = (message) => {
+    const upload = uploads.find((item) => item.message._id === message._id);
+
+    Alert.alert('Message not sent', 'This message could not be delivered.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => (upload
+          ? setUploads((current) => current.filter((item) => item !== upload))
+          : discardMessage(message._id)),
+      },
+      {
+        text: 'Retry',
+        onPress: () => {
+          if (upload) {
+            const restarted = { ...upload, status: 'uploading', progress: 0 };
+            setUploads((current) => current.map((item) => (item === upload ? restarted : item)));
+            runUpload(restarted);
+          } else {
+            retryMessage(message._id);
+          }
+        },
+      },
+    ]);
+  };
+
+  // Close the open conversation and go back to the inbox
+  const closeConversation = () => {
+    navigation.setParams({
+      receiver: undefined,
+      receiverName: undefined,
+      isSelfChat: undefined,
+      conversationId: undefined,
+      isGroup: undefined,
+      scrollToMessageId: undefined,
+    });
+    setReceiever(null);
+    setGroupId(null);
+    setIsSelfChat(false);
+  };
 
   // Handle user sign out from Firebase authentication
-  const onSignOut = () => {
+  // Presence is set offline first, while the user is still allowed to write it
+  // (goOffline stops waiting after a short timeout, so this also works without a connection)
+  const onSignOut = async () => {
+    await goOffline(user);
     signOut(auth).catch(error => console.log('Error logging out: ', error));
   };
 
   // Customize navigation header with theme-aware styling
   // This useEffect runs whenever navigation, receiver, isSelfChat, or theme changes
   useEffect(() => {
+    // Header subtitle: who is typing, otherwise presence (1:1) or member count (group)
+    let subtitle = formatPresence(buddyPresence);
+    if (isBuddyTyping) {
+      subtitle = !groupId
+        ? 'typing…'
+        : typingUsers.length === 1
+          ? `${nameOf(typingUsers[0])} is typing…`
+          : `${typingUsers.length} people are typing…`;
+    } else if (groupId) {
+      subtitle = group ? `${group.participants.length} members` : '';
+    }
+
     navigation.setOptions({
       // Apply modern header styling with shadows and elevation
       headerStyle: {
@@ -191,63 +786,104 @@ export default function ChatScreen() {
         shadowRadius: 8,
       },
       headerTintColor: theme.textLight,
+
+      // Back to the inbox while a conversation is open
+      headerLeft: () => (receiver || groupId) ? (
+        <Pressable style={{ marginLeft: 12, padding: 4 }} onPress={closeConversation} hitSlop={8}>
+          <AntDesign name="arrowleft" size={22} color={theme.textLight} />
+        </Pressable>
+      ) : null,
       
       // Custom header title shows context-aware information
-      // Displays "Personal Notes" for self-chat or "Chat with [email]" for others
+      // Displays "Personal Notes" for self-chat, the group name for groups, "Chat with [email]" for others
+      // or "Recent Chats" on the inbox
+      // Tapping a group title opens the group details
       headerTitle: () => (
-        <View style={{ alignItems: 'center' }}>
+        <Pressable
+          style={{ alignItems: 'center' }}
+          disabled={!groupId}
+          onPress={() => navigation.navigate('GroupInfo', { conversationId: groupId })}
+        >
           <Text style={{ fontSize: 14, fontWeight: '600', color: theme.isDark ? '#FED7AA' : '#FFF7ED', letterSpacing: 0.5 }}>
-            {isSelfChat ? '💾 Personal Notes' : 'Chat with'}
+            {isSelfChat ? '💾 Personal Notes' : groupId ? '👥 Group' : receiver ? (isEncrypted ? '🔒 Chat with' : 'Chat with') : 'Inbox'}
           </Text>
           <Text style={{ fontSize: 15, color: theme.textLight, fontWeight: 'bold', marginTop: 2 }}>
-            {receiver || 'Select a buddy'}
+            {groupId ? group?.name : receiver ? nameOf(receiver) : 'Recent Chats'}
           </Text>
-        </View>
+          {/* Subtitle: "typing…" while someone composes, otherwise presence or member count */}
+          {subtitle !== '' && (
+            <Text style={{ fontSize: 12, color: theme.isDark ? '#FED7AA' : '#FFF7ED', fontStyle: isBuddyTyping ? 'italic' : 'normal', marginTop: 1 }}>
+              {subtitle}
+            </Text>
+          )}
+        </Pressable>
       ),
       
-      // Custom logout button positioned in the top-right corner
+      // Custom header buttons positioned in the top-right corner: group info (groups only),
+      // block/report menu (1:1 chats only) and logout
       // Styled with semi-transparent background for modern look
       headerRight: () => (
-        <Pressable 
-          style={{ 
-            marginRight: 12,
-            backgroundColor: 'rgba(255,255,255,0.2)',
-            padding: 8,
-            borderRadius: 10,
-          }} 
-          onPress={onSignOut}
-        >
-          <AntDesign name="logout" size={20} color={theme.textLight} />
-        </Pressable>
+        <View style={{ flexDirection: 'row' }}>
+          {groupId && (
+            <Pressable 
+              style={{ 
+                marginRight: 8,
+                backgroundColor: 'rgba(255,255,255,0.2)',
+                padding: 8,
+                borderRadius: 10,
+              }} 
+              onPress={() => navigation.navigate('GroupInfo', { conversationId: groupId })}
+            >
+              <AntDesign name="infocirlceo" size={20} color={theme.textLight} />
+            </Pressable>
+          )}
+          {receiver && !isSelfChat && !groupId && (
+            <Pressable 
+              style={{ 
+                marginRight: 8,
+                backgroundColor: 'rgba(255,255,255,0.2)',
+                padding: 8,
+                borderRadius: 10,
+              }} 
+              onPress={() => Alert.alert(nameOf(receiver), undefined, [
+                { text: isReceiverBlocked ? 'Unblock' : 'Block', style: isReceiverBlocked ? 'default' : 'destructive', onPress: toggleBlock },
+                { text: 'Report', style: 'destructive', onPress: () => openReport(receiver) },
+                { text: 'Cancel', style: 'cancel' },
+              ])}
+            >
+              <AntDesign name="ellipsis1" size={20} color={theme.textLight} />
+            </Pressable>
+          )}
+          <Pressable 
+            style={{ 
+              marginRight: 12,
+              backgroundColor: 'rgba(255,255,255,0.2)',
+              padding: 8,
+              borderRadius: 10,
+            }} 
+            onPress={onSignOut}
+          >
+            <AntDesign name="logout" size={20} color={theme.textLight} />
+          </Pressable>
+        </View>
       ),
       headerShown: true,
     });
-  }, [navigation, receiver, isSelfChat, theme]);
+  }, [navigation, user, receiver, groupId, group, isSelfChat, theme, isBuddyTyping, typingUsers, buddyPresence, isEncrypted, nameOf, isReceiverBlocked]);
 
-  // Display empty state when no conversation is selected
+  // Show the inbox when no conversation is selected
   // This occurs when user navigates to Chat tab without selecting a buddy first
-  if (!receiver) {
+  if (!receiver && !groupId) {
+    return <InboxScreen />;
+  }
+
+  // Members removed from a group (or who left it) can no longer read or send messages
+  if (!isGroupMember) {
     return (
       <View style={{ flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: theme.background, padding: 32 }}>
-        {/* Large message icon in a circular container */}
-        <View style={{
-          width: 120,
-          height: 120,
-          borderRadius: 60,
-          backgroundColor: theme.primaryLight,
-          justifyContent: 'center',
-          alignItems: 'center',
-          marginBottom: 24,
-        }}>
-          <AntDesign name="message1" size={56} color={theme.primary} />
-        </View>
-        
-        {/* Friendly message prompting user to select a buddy */}
-        <Text style={{ fontSize: 22, color: theme.text, textAlign: 'center', marginBottom: 12, fontWeight: 'bold' }}>
-          No Conversation Selected
-        </Text>
-        <Text style={{ fontSize: 15, color: theme.textSecondary, textAlign: 'center', lineHeight: 22 }}>
-          Go to Buddies tab and select{'\n'}someone to start chatting
+        <AntDesign name="team" size={56} color={theme.primary} style={{ marginBottom: 16 }} />
+        <Text style={{ fontSize: 18, color: theme.text, textAlign: 'center', fontWeight: 'bold' }}>
+          You're no longer a member of {group.name}
         </Text>
       </View>
     );
@@ -292,6 +928,32 @@ export default function ChatScreen() {
             </Text>
           </View>
         </View>
+      ) : groupId ? (
+        // Group banner showing the group picture and member count
+        <View style={{ 
+          backgroundColor: theme.primaryLight, 
+          padding: 14,
+          borderBottomWidth: 2,
+          borderBottomColor: theme.primary,
+          flexDirection: 'row',
+          alignItems: 'center',
+        }}>
+          {/* Group picture in circular container */}
+          <Image
+            source={{ uri: group?.photo || 'https://randomuser.me/api/portraits/lego/2.jpg' }}
+            style={{ width: 40, height: 40, borderRadius: 20, marginRight: 12, borderWidth: 2, borderColor: theme.primary }}
+          />
+          
+          {/* Group name and participants */}
+          <View style={{ flex: 1 }}>
+            <Text style={{ fontSize: 13, color: theme.primary, fontWeight: 'bold', marginBottom: 2 }}>
+              👥 {group?.name}
+            </Text>
+            <Text style={{ fontSize: 12, color: theme.textSecondary }}>
+              You and {Math.max((group?.participants?.length || 1) - 1, 0)} others
+            </Text>
+          </View>
+        </View>
       ) : (
         // Regular chat banner showing conversation participants
         // Displays both logged-in user and chat recipient
@@ -319,11 +981,37 @@ export default function ChatScreen() {
           {/* Conversation details showing both participants */}
           <View style={{ flex: 1 }}>
             <Text style={{ fontSize: 12, color: theme.textSecondary, marginBottom: 2 }}>
-              You ({user})
+              You ({nameOf(user)})
             </Text>
             <Text style={{ fontSize: 13, color: theme.primary, fontWeight: 'bold' }}>
-              💬 Chatting with: {receiver}
+              💬 Chatting with: {nameOf(receiver)}
             </Text>
+            {/* Buddy's status, bio and (only if they share it) email address */}
+            {!!profiles[receiver]?.status && (
+              <Text style={{ fontSize: 12, color: theme.text, fontStyle: 'italic', marginTop: 2 }} numberOfLines={1}>
+                {profiles[receiver].status}
+              </Text>
+            )}
+            {!!profiles[receiver]?.bio && (
+              <Text style={{ fontSize: 12, color: theme.textSecondary, marginTop: 2 }} numberOfLines={2}>
+                {profiles[receiver].bio}
+              </Text>
+            )}
+            {visibleEmailOf(profiles[receiver]) && (
+              <Text style={{ fontSize: 12, color: theme.textSecondary, marginTop: 2 }} numberOfLines={1}>
+                ✉️ {visibleEmailOf(profiles[receiver])}
+              </Text>
+            )}
+            {/* Encryption status; tap to compare safety numbers with the buddy */}
+            {isEncrypted && (
+              <Pressable onPress={() => navigation.navigate('SafetyNumber', { buddy: receiver })} hitSlop={6}>
+                <Text style={{ fontSize: 12, color: buddyKeyChanged ? '#EF4444' : theme.textSecondary, marginTop: 2 }}>
+                  {buddyKeyChanged
+                    ? '⚠️ Security key changed · Tap to verify'
+                    : `🔒 Messages end-to-end encrypted, attachments not${verifiedBuddyKey ? ' · Verified' : ' · Tap to verify'}`}
+                </Text>
+              </Pressable>
+            )}
           </View>
         </View>
       )}
@@ -338,6 +1026,25 @@ export default function ChatScreen() {
         showUserAvatar={true}
         onSend={messages => onSend(messages)}
         bottomOffset={80}
+
+        // Pagination: show "Load earlier messages" while older pages exist
+        // infiniteScroll also triggers it when the user scrolls to the top
+        loadEarlier={hasEarlier}
+        isLoadingEarlier={isLoadingEarlier}
+        onLoadEarlier={loadEarlier}
+        infiniteScroll={true}
+
+        // Access to the message list for scrolling to quoted messages
+        messageContainerRef={messageListRef}
+        listViewProps={{ onScrollToIndexFailed }}
+
+        // Typing indicator: publish our composer state and show the buddy's typing footer
+        text={composerText}
+        onInputTextChanged={(text) => {
+          setComposerText(text);
+          onInputTextChanged(text);
+        }}
+        isTyping={isBuddyTyping}
         
         messagesContainerStyle={{
           backgroundColor: theme.background,
@@ -365,7 +1072,38 @@ export default function ChatScreen() {
         
         // Custom input toolbar renderer to apply theme-aware background
         // Renders the default InputToolbar with custom container styling
-        renderInputToolbar={(props) => (
+        renderInputToolbar={(props) => isMessagingBlocked ? (
+          // Blocked or not buddies: explain why the composer is gone and offer the next step
+          <View style={{
+            backgroundColor: theme.cardBackground,
+            borderTopWidth: 1,
+            borderTopColor: theme.border,
+            minHeight: 60,
+            paddingHorizontal: 16,
+            flexDirection: 'row',
+            alignItems: 'center',
+          }}>
+            <Text style={{ flex: 1, fontSize: 13, color: theme.textSecondary }}>
+              {isReceiverBlocked
+                ? `You blocked ${nameOf(receiver)}.`
+                : buddyLink?.status === 'pending'
+                  ? buddyLink.requestedBy === user
+                    ? `Buddy request sent. You can chat once ${nameOf(receiver)} accepts.`
+                    : `${nameOf(receiver)} sent you a buddy request.`
+                  : 'Only buddies can message each other.'}
+            </Text>
+            {(isReceiverBlocked || !(buddyLink?.status === 'pending' && buddyLink.requestedBy === user)) && (
+              <Pressable
+                style={{ backgroundColor: theme.primary, paddingHorizontal: 14, paddingVertical: 8, borderRadius: 12, marginLeft: 12 }}
+                onPress={isReceiverBlocked ? toggleBlock : requestBuddy}
+              >
+                <Text style={{ color: theme.textLight, fontWeight: 'bold', fontSize: 13 }}>
+                  {isReceiverBlocked ? 'Unblock' : buddyLink?.status === 'pending' ? 'Accept' : 'Add Buddy'}
+                </Text>
+              </Pressable>
+            )}
+          </View>
+        ) : (
           <InputToolbar
             {...props}
             containerStyle={{
@@ -384,103 +1122,323 @@ export default function ChatScreen() {
         
         // Custom chat bubble renderer for complete control over message appearance
         // Creates distinct styles for sent vs received messages
+        // Long-press a bubble to open its actions menu, swipe it right to reply
         renderBubble={(props) => (
-          <View>
-            {/* Check if the message is from the current user (sent by you) */}
-            {props.currentMessage.user._id === auth?.currentUser?.email ? (
-              // Sent messages: Orange background, aligned right
-              <View style={{
-                backgroundColor: theme.messageYou, // Orange color for sent messages
-                borderRadius: 20,
-                borderBottomRightRadius: 4, // Pointed corner on bottom-right (speech bubble effect)
-                padding: 12,
-                marginVertical: 4,
-                marginHorizontal: 8,
-                maxWidth: maxBubbleWidth, // Calculated width to prevent overflow
-                alignSelf: 'flex-end', // Align to the right side
-                elevation: 2, // Android shadow
-                shadowColor: theme.primary,
-                shadowOffset: { width: 0, height: 1 },
-                shadowOpacity: 0.2,
-                shadowRadius: 3,
-              }}>
-                {/* Message text with light color for contrast on orange background */}
-                {/* flexWrap ensures long text wraps, width: '100%' prevents overflow */}
-                <Text style={{ 
-                  color: theme.textLight, 
-                  fontSize: 15,
-                  lineHeight: 20,
-                  flexWrap: 'wrap',
-                  width: '100%',
-                }}>
-                  {props.currentMessage.text}
-                </Text>
-                
-                {/* Timestamp in 24-hour format (e.g., 14:30) */}
-                {/* Using 'en-GB' locale ensures 24-hour time without AM/PM */}
-                <Text style={{ 
-                  color: theme.isDark ? '#FED7AA' : '#FFF7ED', 
-                  fontSize: 11, 
-                  marginTop: 4,
-                  alignSelf: 'flex-end',
-                }}>
-                  {new Date(props.currentMessage.createdAt).toLocaleTimeString('en-GB', { 
-                    hour: '2-digit', 
-                    minute: '2-digit',
-                    hour12: false // Critical: Removes AM/PM suffix
-                  })}
-                </Text>
-              </View>
-            ) : (
-              // Received messages: White/card background, aligned left
-              <View style={{
-                backgroundColor: theme.messageOther, // White or card color for received messages
-                borderRadius: 20,
-                borderBottomLeftRadius: 4, // Pointed corner on bottom-left
-                padding: 12,
-                marginVertical: 4,
-                marginHorizontal: 8,
-                maxWidth: maxBubbleWidth, // Calculated width to prevent overflow
-                alignSelf: 'flex-start', // Align to the left side
-                elevation: 1,
-                shadowColor: theme.shadow,
-                shadowOffset: { width: 0, height: 1 },
-                shadowOpacity: 0.1,
-                shadowRadius: 2,
-                borderWidth: 1,
-                borderColor: theme.border,
-              }}>
-                {/* Message text with dark color for readability */}
-                {/* flexWrap ensures long text wraps, width: '100%' prevents overflow */}
-                <Text style={{ 
-                  color: theme.text, 
-                  fontSize: 15,
-                  lineHeight: 20,
-                  flexWrap: 'wrap',
-                  width: '100%',
+          <SwipeToReply
+            enabled={canInteractWith(props.currentMessage)}
+            onReply={() => startReply(props.currentMessage)}
+            theme={theme}
+          >
+            <Pressable
+              onLongPress={() => onMessageLongPress(props.currentMessage)}
+              delayLongPress={300}
+              // Highlight after jumping here from a quote
+              style={highlightedId === props.currentMessage._id ? { backgroundColor: theme.primary + '26', borderRadius: 16 } : null}
+            >
+              {/* Check if the message is from the current user (sent by you) */}
+              {props.currentMessage.user._id === auth?.currentUser?.email ? (
+                // Sent messages: Orange background, aligned right
+                <View style={{
+                  backgroundColor: theme.messageYou, // Orange color for sent messages
+                  borderRadius: 20,
+                  borderBottomRightRadius: 4, // Pointed corner on bottom-right (speech bubble effect)
+                  padding: 12,
+                  marginVertical: 4,
+                  marginHorizontal: 8,
+                  maxWidth: maxBubbleWidth, // Calculated width to prevent overflow
+                  alignSelf: 'flex-end', // Align to the right side
+                  elevation: 2, // Android shadow
+                  shadowColor: theme.primary,
+                  shadowOffset: { width: 0, height: 1 },
+                  shadowOpacity: 0.2,
+                  shadowRadius: 3,
                 }}>
-                  {props.currentMessage.text}
-                </Text>
-                
-                {/* Timestamp for received messages */}
-                <Text style={{ 
-                  color: theme.textSecondary, 
-                  fontSize: 11, 
-                  marginTop: 4,
+                  {/* Quoted message this one replies to: tap to jump to the original */}
+                  {props.currentMessage.replyTo && !props.currentMessage.deleted && (
+                    <QuotedMessage
+                      reply={props.currentMessage.replyTo}
+                      isOwn={true}
+                      theme={theme}
+                      onPress={() => scrollToMessage(props.currentMessage.replyTo._id)}
+                    />
+                  )}
+
+                  {/* Image thumbnail or file card */}
+                  {props.currentMessage.attachment && (
+                    <MessageAttachment attachment={props.currentMessage.attachment} isOwn={true} theme={theme} />
+                  )}
+                  {/* Only text and quotes are encrypted: the file itself is stored as is */}
+                  {props.currentMessage.attachment && isEncrypted && (
+                    <Text style={{ color: theme.textLight, fontSize: 11, opacity: 0.85, marginTop: 4 }}>
+                      🔓 Attachment not end-to-end encrypted
+                    </Text>
+                  )}
+
+                  {/* Upload progress with cancel button while the attachment uploads */}
+                  {props.currentMessage.uploadProgress !== null && props.currentMessage.uploadProgress !== undefined && (
+                    <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: 4 }}>
+                      <View style={{ flex: 1, height: 4, borderRadius: 2, backgroundColor: 'rgba(255,255,255,0.3)' }}>
+                        <View style={{ width: `${Math.round(props.currentMessage.uploadProgress * 100)}%`, height: 4, borderRadius: 2, backgroundColor: theme.textLight }} />
+                      </View>
+                      <Pressable onPress={() => uploadCancelsRef.current[props.currentMessage._id]?.()} hitSlop={8} style={{ marginLeft: 8 }}>
+                        <AntDesign name="closecircle" size={16} color={theme.textLight} />
+                      </Pressable>
+                    </View>
+                  )}
+
+                  {/* Tombstone left by "delete for everyone" */}
+                  {props.currentMessage.deleted && (
+                    <Text style={{ color: theme.textLight, fontSize: 14, fontStyle: 'italic', opacity: 0.85 }}>
+                      🚫 You deleted this message
+                    </Text>
+                  )}
+
+                  {/* Encrypted for a key this device doesn't have (e.g. sent before a reinstall) */}
+                  {props.currentMessage.decryptionFailed && !props.currentMessage.deleted && (
+                    <Text style={{ color: theme.textLight, fontSize: 14, fontStyle: 'italic', opacity: 0.85 }}>
+                      🔒 This message can't be decrypted on this device
+                    </Text>
+                  )}
+
+                  {/* Message text with light color for contrast on orange background */}
+                  {/* flexWrap ensures long text wraps, width: '100%' prevents overflow */}
+                  {!!props.currentMessage.text && (
+                    <Text style={{ 
+                      color: theme.textLight, 
+                      fontSize: 15,
+                      lineHeight: 20,
+                      flexWrap: 'wrap',
+                      width: '100%',
+                    }}>
+                      {props.currentMessage.text}
+                    </Text>
+                  )}
+                  
+                  {/* Footer row: timestamp plus delivery status */}
+                  <View style={{ flexDirection: 'row', alignItems: 'center', alignSelf: 'flex-end', marginTop: 4 }}>
+                    {/* Timestamp in 24-hour format (e.g., 14:30) */}
+                    {/* Using 'en-GB' locale ensures 24-hour time without AM/PM */}
+                    <Text style={{ 
+                      color: theme.isDark ? '#FED7AA' : '#FFF7ED', 
+                      fontSize: 11, 
+                    }}>
+                      {/* "edited" label for messages changed after sending */}
+                      {props.currentMessage.edited && !props.currentMessage.deleted ? 'edited · ' : ''}
+                      {new Date(props.currentMessage.createdAt).toLocaleTimeString('en-GB', { 
+                        hour: '2-digit', 
+                        minute: '2-digit',
+                        hour12: false // Critical: Removes AM/PM suffix
+                      })}
+                    </Text>
+
+                    {/* Clock icon while the message waits in the outbox */}
+                    {props.currentMessage.pending && (
+                      <AntDesign name="clockcircleo" size={11} color={theme.isDark ? '#FED7AA' : '#FFF7ED'} style={{ marginLeft: 4 }} />
+                    )}
+
+                    {/* Tick marks once stored: one tick sent, two ticks delivered, colored ticks read */}
+                    {!props.currentMessage.pending && !props.currentMessage.failed && (() => {
+                      const status = getReceiptStatus(props.currentMessage);
+                      if (!status) return null;
+                      return (
+                        <Ionicons
+                          name={status === 'sent' ? 'checkmark' : 'checkmark-done'}
+                          size={15}
+                          color={status === 'read' ? theme.receiptRead : (theme.isDark ? '#FED7AA' : '#FFF7ED')}
+                          style={{ marginLeft: 4 }}
+                        />
+                      );
+                    })()}
+                  </View>
+
+                  {/* Failed state: tap to retry or delete */}
+                  {props.currentMessage.failed && (
+                    <Pressable
+                      onPress={() => onFailedMessagePress(props.currentMessage)}
+                      style={{ flexDirection: 'row', alignItems: 'center', alignSelf: 'flex-end', marginTop: 6 }}
+                    >
+                      <AntDesign name="exclamationcircle" size={13} color={theme.textLight} />
+                      <Text style={{ color: theme.textLight, fontSize: 12, fontWeight: 'bold', marginLeft: 4 }}>
+                        Not sent · Tap to retry
+                      </Text>
+                    </Pressable>
+                  )}
+                </View>
+              ) : (
+                // Received messages: White/card background, aligned left
+                <View style={{
+                  backgroundColor: theme.messageOther, // White or card color for received messages
+                  borderRadius: 20,
+                  borderBottomLeftRadius: 4, // Pointed corner on bottom-left
+                  padding: 12,
+                  marginVertical: 4,
+                  marginHorizontal: 8,
+                  maxWidth: maxBubbleWidth, // Calculated width to prevent overflow
+                  alignSelf: 'flex-start', // Align to the left side
+                  elevation: 1,
+                  shadowColor: theme.shadow,
+                  shadowOffset: { width: 0, height: 1 },
+                  shadowOpacity: 0.1,
+                  shadowRadius: 2,
+                  borderWidth: 1,
+                  borderColor: theme.border,
                 }}>
-                  {new Date(props.currentMessage.createdAt).toLocaleTimeString('en-GB', { 
-                    hour: '2-digit', 
-                    minute: '2-digit',
-                    hour12: false 
-                  })}
-                </Text>
-              </View>
-            )}
-          </View>
+                  {/* Sender name on incoming group messages */}
+                  {groupId && (
+                    <Text style={{ color: theme.primary, fontSize: 12, fontWeight: 'bold', marginBottom: 2 }}>
+                      {nameOf(props.currentMessage.user._id)}
+                    </Text>
+                  )}
+
+                  {/* Quoted message this one replies to: tap to jump to the original */}
+                  {props.currentMessage.replyTo && !props.currentMessage.deleted && (
+                    <QuotedMessage
+                      reply={props.currentMessage.replyTo}
+                      isOwn={false}
+                      theme={theme}
+                      onPress={() => scrollToMessage(props.currentMessage.replyTo._id)}
+                    />
+                  )}
+
+                  {/* Image thumbnail or file card */}
+                  {props.currentMessage.attachment && (
+                    <MessageAttachment attachment={props.currentMessage.attachment} isOwn={false} theme={theme} />
+                  )}
+                  {/* Only text and quotes are encrypted: the file itself is stored as is */}
+                  {props.currentMessage.attachment && isEncrypted && (
+                    <Text style={{ color: theme.textSecondary, fontSize: 11, opacity: 0.85, marginTop: 4 }}>
+                      🔓 Attachment not end-to-end encrypted
+                    </Text>
+                  )}
+
+                  {/* Tombstone left by "delete for everyone" */}
+                  {props.currentMessage.deleted && (
+                    <Text style={{ color: theme.textSecondary, fontSize: 14, fontStyle: 'italic' }}>
+                      🚫 This message was deleted
+                    </Text>
+                  )}
+
+                  {/* Encrypted for a key this device doesn't have (e.g. sent before a reinstall) */}
+                  {props.currentMessage.decryptionFailed && !props.currentMessage.deleted && (
+                    <Text style={{ color: theme.textSecondary, fontSize: 14, fontStyle: 'italic' }}>
+                      🔒 This message can't be decrypted on this device
+                    </Text>
+                  )}
+
+                  {/* Message text with dark color for readability */}
+                  {/* flexWrap ensures long text wraps, width: '100%' prevents overflow */}
+                  {!!props.currentMessage.text && (
+                    <Text style={{ 
+                      color: theme.text, 
+                      fontSize: 15,
+                      lineHeight: 20,
+                      flexWrap: 'wrap',
+                      width: '100%',
+                    }}>
+                      {props.currentMessage.text}
+                    </Text>
+                  )}
+                  
+                  {/* Timestamp for received messages */}
+                  <Text style={{ 
+                    color: theme.textSecondary, 
+                    fontSize: 11, 
+                    marginTop: 4,
+                  }}>
+                    {props.currentMessage.edited && !props.currentMessage.deleted ? 'edited · ' : ''}
+                    {new Date(props.currentMessage.createdAt).toLocaleTimeString('en-GB', { 
+                      hour: '2-digit', 
+                      minute: '2-digit',
+                      hour12: false 
+                    })}
+                  </Text>
+                </View>
+              )}
+
+              {/* Reaction chips under the bubble */}
+              {props.currentMessage.reactions && !props.currentMessage.deleted && (
+                <MessageReactions
+                  reactions={props.currentMessage.reactions}
+                  currentUser={user}
+                  isOwn={props.currentMessage.user._id === user}
+                  resolveName={nameOf}
+                  onRemoveOwn={() => toggleReaction(props.currentMessage, props.currentMessage.reactions[user])}
+                  theme={theme}
+                />
+              )}
+            </Pressable>
+          </SwipeToReply>
+        )}
+        // Attach button on the left of the composer for photos and documents
+        renderActions={() => (
+          <Pressable
+            onPress={onAttachPress}
+            hitSlop={8}
+            style={{ width: 40, height: 44, justifyContent: 'center', alignItems: 'center' }}
+          >
+            <AntDesign name="paperclip" size={22} color={theme.primary} />
+          </Pressable>
         )}
+        
+        // Bar above the composer: recording status while recording a voice note,
+        // otherwise the message being edited or replied to, with a cancel button
+        renderChatFooter={() => recordingState.isRecording ? (
+          <View style={{
+            flexDirection: 'row',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            paddingHorizontal: 16,
+            paddingVertical: 10,
+            backgroundColor: recordingState.willCancel ? '#FEE2E2' : theme.primaryLight,
+          }}>
+            <Text style={{ color: recordingState.willCancel ? '#EF4444' : theme.primary, fontWeight: 'bold' }}>
+              ● {formatDuration(recordingState.durationMs)}
+            </Text>
+            <Text style={{ color: recordingState.willCancel ? '#EF4444' : theme.textSecondary }}>
+              {recordingState.willCancel ? 'Release to cancel' : '‹ Slide left to cancel'}
+            </Text>
+          </View>
+        ) : editingMessage ? (
+          <View style={{
+            flexDirection: 'row',
+            alignItems: 'center',
+            paddingHorizontal: 16,
+            paddingVertical: 10,
+            backgroundColor: theme.primaryLight,
+            borderLeftWidth: 4,
+            borderLeftColor: theme.primary,
+          }}>
+            <View style={{ flex: 1 }}>
+              <Text style={{ color: theme.primary, fontWeight: 'bold', fontSize: 13 }}>✏️ Editing message</Text>
+              <Text style={{ color: theme.textSecondary, fontSize: 13 }} numberOfLines={1}>{editingMessage.text}</Text>
+            </View>
+            <Pressable onPress={cancelEditing} hitSlop={8}>
+              <AntDesign name="close" size={20} color={theme.textSecondary} />
+            </Pressable>
+          </View>
+        ) : replyingTo ? (
+          <View style={{
+            flexDirection: 'row',
+            alignItems: 'center',
+            paddingHorizontal: 16,
+            paddingTop: 8,
+            backgroundColor: theme.cardBackground,
+          }}>
+            <View style={{ flex: 1 }}>
+              <QuotedMessage reply={toReplyReference(replyingTo)} isOwn={false} theme={theme} />
+            </View>
+            <Pressable onPress={() => setReplyingTo(null)} hitSlop={8} style={{ marginLeft: 12 }}>
+              <AntDesign name="close" size={20} color={theme.textSecondary} />
+            </Pressable>
+          </View>
+        ) : null}
+
         // Custom send button with modern circular design and orange color
         // Replaces the default GiftedChat send button for better visual consistency
-        renderSend={(props) => (
+        // Shows the mic button while the composer is empty (hold to record a voice note)
+        renderSend={(props) => !props.text?.trim() ? (
+          <VoiceRecorderButton onRecorded={sendVoiceNote} onStateChange={setRecordingState} theme={theme} />
+        ) : (
           <Pressable
             onPress={() => {
               // Only send if there's text content
@@ -510,10 +1468,7 @@ export default function ChatScreen() {
           </Pressable>
         )}
         
-        user={{
-          _id: auth?.currentUser?.email,
-          avatar: avatar || 'https://randomuser.me/api/portraits/lego/1.jpg',
-        }}
+        user={chatUser}
         
         alwaysShowSend={true}
         
@@ -538,6 +1493,36 @@ export default function ChatScreen() {
           </View>
         )}
       />
+
+      {/* Long-press reactions and actions for the selected message */}
+      <MessageActionsMenu
+        visible={Boolean(menuMessage)}
+        actions={getMessageActions(menuMessage)}
+        onClose={() => setMenuMessage(null)}
+      >
+        {menuMessage && (
+          <ReactionBar
+            selected={menuMessage.reactions?.[user]}
+            onSelect={(emoji) => {
+              setMenuMessage(null);
+              toggleReaction(menuMessage, emoji);
+            }}
+            onMore={() => {
+              setMenuMessage(null);
+              setEmojiPickerMessage(menuMessage);
+            }}
+            theme={theme}
+          />
+        )}
+      </MessageActionsMenu>
+
+      {/* Full emoji picker opened from the reaction bar */}
+      <EmojiPicker
+        visible={Boolean(emojiPickerMessage)}
+        onSelect={(emoji) => emojiPickerMessage && setReaction(conversationId, emojiPickerMessage.id, user, emoji)
+          .catch((error) => console.error("Error updating reaction:", error))}
+        onClose={() => setEmojiPickerMessage(null)}
+      />
     </View>
   );
 }
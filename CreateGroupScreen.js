@@ -0,0 +1,198 @@
+// Screen for creating a group conversation
+// Lets the user set a group name and picture and select the buddies to include
+import React, { useState } from 'react';
+// Import React Native components for UI rendering
+import { View, Text, TextInput, Image, Pressable, StyleSheet, ActivityIndicator } from 'react-native';
+// Import Expo ImagePicker for choosing the group picture
+import * as ImagePicker from 'expo-image-picker';
+// Import navigation hook for screen transitions
+import { useNavigation } from '@react-navigation/native';
+// Import Toast for user-friendly notifications
+import Toast from 'react-native-toast-message';
+// Import Firebase auth instance to identify the creator
+import { auth } from './firebase';
+// Import group creation helper
+import { createGroup } from './conversations';
+// Import shared Firebase Storage upload helper
+import { uploadImage } from './uploads';
+// Import buddy multi-select list
+import { BuddyPicker } from './BuddyPicker';
+// Import custom theme hook for dark/light mode support
+import { useTheme } from './ThemeContext';
+// Import icon library for the picture placeholder
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+
+const CreateGroupScreen = () => {
+  const { theme } = useTheme();
+  const navigation = useNavigation();
+  const [name, setName] = useState(''); // Group name
+  const [photoUri, setPhotoUri] = useState(null); // Local URI of the chosen picture
+  const [members, setMembers] = useState([]); // Selected buddy emails
+  const [isCreating, setIsCreating] = useState(false); // Disables the button while saving
+
+  // Add or remove a buddy from the selection
+  const toggleMember = (email) => {
+    setMembers((current) =>
+      current.includes(email) ? current.filter((item) => item !== email) : [...current, email]
+    );
+  };
+
+  // Choose a square group picture from the gallery
+  const pickPhoto = async () => {
+    const permissionResult = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (permissionResult.granted === false) {
+      Toast.show({
+        type: 'error',
+        text1: 'Permission Required',
+        text2: 'Permission to access gallery is required!',
+        position: 'top',
+      });
+      return;
+    }
+
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      allowsEditing: true,
+      aspect: [1, 1],
+      quality: 0.5,
+    });
+    if (!result.canceled) {
+      setPhotoUri(result.assets[0].uri);
+    }
+  };
+
+  // Upload the picture, create the group and open it in ChatScreen
+  const handleCreate = async () => {
+    if (!name.trim() || members.length === 0) {
+      Toast.show({
+        type: 'error',
+        text1: 'Missing Details',
+        text2: 'Give the group a name and select at least one buddy.',
+        position: 'top',
+      });
+      return;
+    }
+
+    setIsCreating(true);
+    try {
+      const photo = photoUri ? await uploadImage(photoUri, 'group_pics') : null;
+      const conversationId = await createGroup({
+        name: name.trim(),
+        photo,
+        members,
+        createdBy: auth.currentUser.email,
+      });
+
+      // Navigating to the tabs pops this screen off the stack
+      navigation.navigate('Main', {
+        screen: 'ChatScreen',
+        params: { conversationId, isGroup: true },
+      });
+    } catch (error) {
+      console.error('Error creating group:', error);
+      Toast.show({
+        type: 'error',
+        text1: 'Group Not Created',
+        text2: 'Failed to create the group. Please try again.',
+        position: 'top',
+      });
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <BuddyPicker
+        selected={members}
+        onToggle={toggleMember}
+        ListHeaderComponent={
+          <View style={styles.form}>
+            {/* Group picture: tap to choose from gallery */}
+            <Pressable onPress={pickPhoto} style={[styles.photo, { backgroundColor: theme.primaryLight, borderColor: theme.primary }]}>
+              {photoUri ? (
+                <Image source={{ uri: photoUri }} style={styles.photoImage} />
+              ) : (
+                <MaterialCommunityIcons name="camera-plus" size={32} color={theme.primary} />
+              )}
+            </Pressable>
+
+            <TextInput
+              style={[styles.input, { backgroundColor: theme.cardBackground, color: theme.text, borderColor: theme.border }]}
+              placeholder="Group name"
+              placeholderTextColor={theme.textSecondary}
+              value={name}
+              onChangeText={setName}
+            />
+
+            <Text style={[styles.sectionTitle, { color: theme.text }]}>
+              Members ({members.length} selected)
+            </Text>
+          </View>
+        }
+      />
+
+      {/* Create button pinned below the list */}
+      <Pressable
+        style={[styles.button, { backgroundColor: theme.primary, opacity: isCreating ? 0.7 : 1 }]}
+        onPress={handleCreate}
+        disabled={isCreating}
+      >
+        {isCreating ? (
+          <ActivityIndicator color={theme.textLight} />
+        ) : (
+          <Text style={[styles.buttonText, { color: theme.textLight }]}>Create Group</Text>
+        )}
+      </Pressable>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  form: {
+    alignItems: 'center',
+    padding: 20,
+  },
+  photo: {
+    width: 96,
+    height: 96,
+    borderRadius: 48,
+    borderWidth: 2,
+    justifyContent: 'center',
+    alignItems: 'center',
+    overflow: 'hidden',
+    marginBottom: 16,
+  },
+  photoImage: {
+    width: '100%',
+    height: '100%',
+  },
+  input: {
+    width: '100%',
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    fontSize: 16,
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    alignSelf: 'flex-start',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  button: {
+    margin: 16,
+    paddingVertical: 14,
+    borderRadius: 16,
+    alignItems: 'center',
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default CreateGroupScreen;
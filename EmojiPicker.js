@@ -0,0 +1,157 @@
+// Full emoji picker for reactions
+// Bottom sheet with category tabs and a scrollable emoji grid
+import React, { useState } from 'react';
+// Import React Native components for UI rendering
+import { View, Text, Pressable, Modal, FlatList, StyleSheet } from 'react-native';
+// Import custom theme hook for dark/light mode support
+import { useTheme } from './ThemeContext';
+
+// Emoji grouped by category; the first emoji of each group labels its tab
+const EMOJI_CATEGORIES = [
+  {
+    key: 'smileys',
+    emoji: [
+      '😀', '😃', '😄', '😁', '😆', '😅', '🤣', '😂', '🙂', '🙃', '😉', '😊', '😇', '🥰', '😍', '🤩',
+      '😘', '😗', '😚', '😙', '😋', '😛', '😜', '🤪', '😝', '🤑', '🤗', '🤭', '🤫', '🤔', '🤐', '🤨',
+      '😐', '😑', '😶', '😏', '😒', '🙄', '😬', '😌', '😔', '😪', '🤤', '😴', '😷', '🤒', '🤕', '🤢',
+      '🤮', '🥵', '🥶', '🥴', '😵', '🤯', '🤠', '🥳', '😎', '🤓', '🧐', '😕', '😟', '🙁', '😮', '😯',
+      '😲', '😳', '🥺', '😦', '😧', '😨', '😰', '😥', '😢', '😭', '😱', '😖', '😣', '😞', '😓', '😩',
+      '😫', '🥱', '😤', '😡', '😠', '🤬', '😈', '💀', '💩', '🤡', '👻', '👽', '🤖',
+    ],
+  },
+  {
+    key: 'gestures',
+    emoji: [
+      '👍', '👎', '👌', '🤌', '✌️', '🤞', '🤟', '🤘', '🤙', '👈', '👉', '👆', '👇', '☝️', '✋', '🤚',
+      '🖐️', '🖖', '👋', '👏', '🙌', '👐', '🤲', '🤝', '🙏', '✍️', '💪', '🫶', '👀', '🧠', '🫡', '🤷',
+    ],
+  },
+  {
+    key: 'hearts',
+    emoji: [
+      '❤️', '🧡', '💛', '💚', '💙', '💜', '🖤', '🤍', '🤎', '💔', '❣️', '💕', '💞', '💓', '💗', '💖',
+      '💘', '💝', '💯', '💢', '💥', '💫', '💦', '💨', '🔥', '✨', '⭐', '🌟', '⚡', '🎉', '🎊', '✅',
+    ],
+  },
+  {
+    key: 'animals',
+    emoji: [
+      '🐶', '🐱', '🐭', '🐹', '🐰', '🦊', '🐻', '🐼', '🐨', '🐯', '🦁', '🐮', '🐷', '🐸', '🐵', '🙈',
+      '🙉', '🙊', '🐔', '🐧', '🐦', '🦆', '🦉', '🐴', '🦄', '🐝', '🦋', '🐢', '🐍', '🐙', '🐬', '🐳',
+      '🌸', '🌹', '🌻', '🌈', '☀️', '🌙', '❄️', '☔',
+    ],
+  },
+  {
+    key: 'food',
+    emoji: [
+      '🍎', '🍊', '🍋', '🍌', '🍉', '🍇', '🍓', '🍒', '🍑', '🥭', '🍍', '🥑', '🌶️', '🌽', '🥕', '🥐',
+      '🍞', '🧀', '🍳', '🥓', '🍔', '🍟', '🍕', '🌭', '🌮', '🍣', '🍜', '🍩', '🍪', '🎂', '🍫', '🍿',
+      '☕', '🍵', '🍺', '🍻', '🥂', '🍷', '🍹', '🧃',
+    ],
+  },
+  {
+    key: 'activities',
+    emoji: [
+      '⚽', '🏀', '🏈', '⚾', '🎾', '🏐', '🏓', '🏸', '🥊', '🏆', '🥇', '🎯', '🎮', '🎲', '🧩', '🎨',
+      '🎬', '🎤', '🎧', '🎸', '🎹', '🥁', '🚗', '✈️', '🚀', '🏖️', '🏔️', '🏠', '🎁', '🎈', '📚', '💡',
+      '💻', '📱', '📷', '⏰', '💰', '📌', '🔑', '❓', '❗', '⚠️', '🚫', '💤',
+    ],
+  },
+];
+
+// Emoji per grid row
+const COLUMNS = 8;
+
+// Props:
+// - visible: whether the picker is shown
+// - onSelect(emoji): called with the picked emoji (the picker closes itself)
+// - onClose: called when the picker should close without a pick
+export const EmojiPicker = ({ visible, onSelect, onClose }) => {
+  const { theme } = useTheme();
+  const [categoryKey, setCategoryKey] = useState(EMOJI_CATEGORIES[0].key);
+  const category = EMOJI_CATEGORIES.find((item) => item.key === categoryKey);
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      {/* Tapping the dimmed backdrop closes the picker */}
+      <Pressable style={styles.backdrop} onPress={onClose}>
+        <Pressable style={[styles.sheet, { backgroundColor: theme.cardBackground }]}>
+          {/* Category tabs */}
+          <View style={[styles.tabs, { borderBottomColor: theme.border }]}>
+            {EMOJI_CATEGORIES.map((item) => (
+              <Pressable
+                key={item.key}
+                onPress={() => setCategoryKey(item.key)}
+                style={[styles.tab, item.key === categoryKey && { borderBottomColor: theme.primary }]}
+              >
+                <Text style={styles.tabEmoji}>{item.emoji[0]}</Text>
+              </Pressable>
+            ))}
+          </View>
+
+          {/* Emoji grid for the selected category */}
+          <FlatList
+            key={categoryKey}
+            data={category.emoji}
+            keyExtractor={(emoji) => emoji}
+            numColumns={COLUMNS}
+            contentContainerStyle={styles.grid}
+            renderItem={({ item }) => (
+              <Pressable
+                style={styles.cell}
+                android_ripple={{ color: theme.primary + '30', borderless: true }}
+                onPress={() => {
+                  onClose();
+                  onSelect(item);
+                }}
+              >
+                <Text style={styles.emoji}>{item}</Text>
+              </Pressable>
+            )}
+          />
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.4)',
+  },
+  sheet: {
+    height: '50%',
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    paddingTop: 8,
+  },
+  tabs: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  tab: {
+    paddingVertical: 10,
+    paddingHorizontal: 8,
+    borderBottomWidth: 2,
+    borderBottomColor: 'transparent',
+  },
+  tabEmoji: {
+    fontSize: 22,
+  },
+  grid: {
+    paddingHorizontal: 8,
+    paddingBottom: 24,
+  },
+  cell: {
+    flex: 1 / COLUMNS,
+    aspectRatio: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emoji: {
+    fontSize: 28,
+  },
+});
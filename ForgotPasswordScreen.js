@@ -0,0 +1,201 @@
+// Forgot password screen for users locked out of their account
+// Sends a Firebase password reset email and confirms where it went; opened from the Login screen
+import React, { useState } from 'react';
+// Import React Native components for UI
+import { View, TextInput, Pressable, Text, StyleSheet, Alert, ActivityIndicator, ScrollView, KeyboardAvoidingView, Platform } from 'react-native';
+// Import Firebase function for sending the reset email
+import { sendPasswordResetEmail } from 'firebase/auth';
+// Import navigation hooks for screen transitions and the email typed on the Login screen
+import { useNavigation, useRoute } from '@react-navigation/native';
+// Import Firebase auth instance
+import { auth } from './firebase';
+// Import shared email check and auth error messages
+import { validateEmail, describeAuthError } from './authValidation';
+
+const ForgotPasswordScreen = () => {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const [email, setEmail] = useState(route.params?.email || '');
+  const [isSending, setIsSending] = useState(false);
+  const [sentTo, setSentTo] = useState(null); // Address the reset email went to, once sent
+  const [emailError, setEmailError] = useState(null); // Inline error under the email field
+
+  // Send the reset email; the link in it opens Firebase's password reset page
+  // Note: with email enumeration protection enabled in the Firebase project, unknown emails
+  // don't fail and simply receive no email, so the confirmation wording stays neutral
+  const handleReset = async () => {
+    const address = email.trim();
+    const formError = validateEmail(address);
+    setEmailError(formError);
+    if (formError) return;
+
+    setIsSending(true);
+    try {
+      await sendPasswordResetEmail(auth, address);
+      setSentTo(address);
+    } catch (error) {
+      // Email problems go under the field; rate limiting and network errors in an alert
+      console.log(error.code, error.message);
+      const { field, message } = describeAuthError(error, 'The reset email could not be sent. Please try again.');
+      if (field === 'email') {
+        setEmailError(message);
+      } else {
+        Alert.alert("Reset Error", message);
+      }
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={{ flex: 1 }}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView
+        contentContainerStyle={styles.scrollContainer}
+        showsVerticalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={styles.container}>
+          {/* Screen title */}
+          <Text style={styles.header}>Reset Password</Text>
+
+          {sentTo ? (
+            // Confirmation once the email is on its way
+            <>
+              <Text style={styles.message}>
+                If an account exists for {sentTo}, we sent it a link to choose a new password.
+                Check your inbox (and spam folder), then log in with your new password.
+              </Text>
+
+              <Pressable style={styles.button} onPress={() => navigation.navigate('Login')}>
+                <Text style={styles.buttonText}>Back to Log In</Text>
+              </Pressable>
+
+              {/* Send again, e.g. when the email didn't arrive or went to a mistyped address */}
+              <View style={styles.linkContainer}>
+                <Text>Didn't get it? </Text>
+                <Pressable onPress={() => setSentTo(null)}>
+                  <Text style={styles.link}>Try again</Text>
+                </Pressable>
+              </View>
+            </>
+          ) : (
+            <>
+              <Text style={styles.message}>
+                Enter the email of your account and we'll send you a link to reset your password.
+              </Text>
+
+              {/* Email input field with appropriate keyboard type */}
+              <TextInput
+                style={[styles.input, emailError && styles.inputError]}
+                placeholder="Email"
+                value={email}
+                onChangeText={(value) => {
+                  setEmail(value);
+                  setEmailError(null);
+                }}
+                keyboardType="email-address" // Shows email-optimized keyboard
+                autoCapitalize="none" // Prevents automatic capitalization of email
+                onSubmitEditing={handleReset}
+              />
+              {emailError && <Text style={styles.errorText}>{emailError}</Text>}
+
+              {/* Send button, disabled while the request is in flight */}
+              <Pressable
+                style={[styles.button, (isSending || !email.trim()) && styles.buttonDisabled]}
+                onPress={handleReset}
+                disabled={isSending || !email.trim()}
+              >
+                {isSending ? (
+                  <ActivityIndicator color="white" />
+                ) : (
+                  <Text style={styles.buttonText}>Send Reset Link</Text>
+                )}
+              </Pressable>
+
+              {/* Link back to the login screen */}
+              <View style={styles.linkContainer}>
+                <Text>Remembered it? </Text>
+                <Pressable onPress={() => navigation.navigate('Login')}>
+                  <Text style={styles.link}>Log In</Text>
+                </Pressable>
+              </View>
+            </>
+          )}
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+  },
+  container: {
+    flex: 1,
+    padding: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#a1eda4'
+  },
+  header: {
+    fontSize: 24,
+    marginBottom: 20,
+    textAlign: 'center',
+    fontWeight: 'bold',
+  },
+  message: {
+    fontSize: 15,
+    textAlign: 'center',
+    marginBottom: 20,
+    width: '80%',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ccc',
+    padding: 10,
+    marginBottom: 15,
+    borderRadius: 5,
+    width:'80%',
+  },
+  inputError: {
+    borderColor: '#DC2626',
+  },
+  errorText: {
+    color: '#B91C1C',
+    fontSize: 13,
+    width: '80%',
+    marginTop: -10,
+    marginBottom: 12,
+  },
+  linkContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 20,
+  },
+  link: {
+    color: 'blue',
+    fontWeight: 'bold',
+  },
+  button: {
+    backgroundColor: 'black',
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default ForgotPasswordScreen;
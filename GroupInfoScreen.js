@@ -0,0 +1,294 @@
+// Group details screen: members list, adding/removing members and leaving the group
+// Opened from the ChatScreen header of a group conversation
+import React, { useEffect, useState } from 'react';
+// Import React Native components for UI rendering
+import { View, Text, Image, Pressable, FlatList, StyleSheet, Alert } from 'react-native';
+// Import navigation hooks for params and screen transitions
+import { useNavigation, useRoute } from '@react-navigation/native';
+// Import Firebase instances
+import { auth } from './firebase';
+// Import group helpers
+import { subscribeConversation, addGroupMembers, removeGroupMember } from './conversations';
+// Import buddy multi-select list for adding members
+import { BuddyPicker } from './BuddyPicker';
+// Import profile helpers for member names and avatars
+import { displayNameOf, visibleEmailOf } from './profiles';
+// Import profile listener hook for the members listed
+import useProfiles from './useProfiles';
+// Import custom theme hook for dark/light mode support
+import { useTheme } from './ThemeContext';
+// Import icon library for action buttons
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+
+const GroupInfoScreen = () => {
+  const { theme } = useTheme();
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { conversationId } = route.params;
+  const me = auth.currentUser.email;
+
+  const [group, setGroup] = useState(null); // Live group document
+  const [isAdding, setIsAdding] = useState(false); // Shows the buddy picker
+  const [toAdd, setToAdd] = useState([]); // Buddies selected for adding
+
+  // Keep the group document in sync (members may change while the screen is open)
+  useEffect(() => {
+    return subscribeConversation(conversationId, setGroup);
+  }, [conversationId]);
+
+  // Keep member names and avatars in sync
+  const profiles = useProfiles(group?.participants || []);
+
+  // Set the stack header title to the group name
+  useEffect(() => {
+    navigation.setOptions({ title: group?.name || 'Group Info' });
+  }, [navigation, group?.name]);
+
+  if (!group) {
+    return <View style={[styles.container, { backgroundColor: theme.background }]} />;
+  }
+
+  const isAdmin = group.admins?.includes(me);
+
+  // Admins may remove any other member after confirmation
+  const confirmRemove = (email) => {
+    Alert.alert('Remove member', `Remove ${displayNameOf(profiles[email], email)} from ${group.name}?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: () => removeGroupMember(group, email)
+          .catch((error) => console.error('Error removing member:', error)),
+      },
+    ]);
+  };
+
+  // Leave the group and return to the Buddies list
+  const confirmLeave = () => {
+    Alert.alert('Leave group', `You will stop receiving messages from ${group.name}.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Leave',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await removeGroupMember(group, me);
+            navigation.navigate('Main', { screen: 'ListUsers' });
+          } catch (error) {
+            console.error('Error leaving group:', error);
+          }
+        },
+      },
+    ]);
+  };
+
+  // Add the selected buddies and close the picker
+  const handleAdd = async () => {
+    if (toAdd.length === 0) return;
+    try {
+      await addGroupMembers(conversationId, toAdd);
+      setToAdd([]);
+      setIsAdding(false);
+    } catch (error) {
+      console.error('Error adding members:', error);
+    }
+  };
+
+  // Adding mode: reuse the buddy picker, excluding current members
+  if (isAdding) {
+    return (
+      <View style={[styles.container, { backgroundColor: theme.background }]}>
+        <BuddyPicker
+          selected={toAdd}
+          exclude={group.participants}
+          onToggle={(email) => setToAdd((current) =>
+            current.includes(email) ? current.filter((item) => item !== email) : [...current, email]
+          )}
+        />
+        <View style={styles.actionRow}>
+          <Pressable style={[styles.secondaryButton, { borderColor: theme.border }]} onPress={() => setIsAdding(false)}>
+            <Text style={[styles.secondaryButtonText, { color: theme.text }]}>Cancel</Text>
+          </Pressable>
+          <Pressable style={[styles.primaryButton, { backgroundColor: theme.primary }]} onPress={handleAdd}>
+            <Text style={[styles.primaryButtonText, { color: theme.textLight }]}>Add ({toAdd.length})</Text>
+          </Pressable>
+        </View>
+      </View>
+    );
+  }
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <FlatList
+        data={group.participants}
+        keyExtractor={(email) => email}
+        ListHeaderComponent={
+          <View style={styles.header}>
+            <Image
+              source={{ uri: group.photo || 'https://randomuser.me/api/portraits/lego/2.jpg' }}
+              style={[styles.groupPhoto, { borderColor: theme.primary }]}
+            />
+            <Text style={[styles.groupName, { color: theme.text }]}>{group.name}</Text>
+            <Text style={[styles.memberCount, { color: theme.textSecondary }]}>
+              {group.participants.length} members
+            </Text>
+
+            {/* Admins can invite their buddies */}
+            {isAdmin && (
+              <Pressable
+                style={[styles.addButton, { backgroundColor: theme.primaryLight }]}
+                onPress={() => setIsAdding(true)}
+              >
+                <MaterialCommunityIcons name="account-plus" size={20} color={theme.primary} />
+                <Text style={[styles.addButtonText, { color: theme.primary }]}>Add members</Text>
+              </Pressable>
+            )}
+          </View>
+        }
+        renderItem={({ item: email }) => (
+          <View style={[styles.memberRow, { backgroundColor: theme.cardBackground, borderColor: theme.border }]}>
+            <Image
+              source={{ uri: profiles[email]?.avatar || 'https://randomuser.me/api/portraits/lego/1.jpg' }}
+              style={styles.memberAvatar}
+            />
+            <View style={{ flex: 1 }}>
+              <Text style={[styles.memberName, { color: theme.text }]}>
+                {displayNameOf(profiles[email], email)}{email === me ? ' (you)' : ''}
+              </Text>
+              {visibleEmailOf(profiles[email]) && (
+                <Text style={[styles.memberSubtitle, { color: theme.textSecondary }]} numberOfLines={1}>
+                  {visibleEmailOf(profiles[email])}
+                </Text>
+              )}
+              {group.admins?.includes(email) && (
+                <Text style={[styles.adminLabel, { color: theme.primary }]}>Admin</Text>
+              )}
+            </View>
+            {/* Only admins see the remove action, and never for themselves */}
+            {isAdmin && email !== me && (
+              <Pressable onPress={() => confirmRemove(email)} hitSlop={8}>
+                <MaterialCommunityIcons name="account-remove" size={22} color={theme.textSecondary} />
+              </Pressable>
+            )}
+          </View>
+        )}
+        ListFooterComponent={
+          <Pressable style={[styles.leaveButton, { borderColor: '#EF4444' }]} onPress={confirmLeave}>
+            <MaterialCommunityIcons name="exit-run" size={20} color="#EF4444" />
+            <Text style={styles.leaveButtonText}>Leave group</Text>
+          </Pressable>
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    alignItems: 'center',
+    padding: 24,
+  },
+  groupPhoto: {
+    width: 110,
+    height: 110,
+    borderRadius: 55,
+    borderWidth: 3,
+    marginBottom: 12,
+  },
+  groupName: {
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  memberCount: {
+    fontSize: 14,
+    marginTop: 4,
+    marginBottom: 16,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 18,
+    borderRadius: 20,
+  },
+  addButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  memberRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginHorizontal: 12,
+    marginVertical: 4,
+    borderRadius: 14,
+    borderWidth: 1,
+  },
+  memberAvatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    marginRight: 12,
+  },
+  memberName: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  memberSubtitle: {
+    fontSize: 12,
+    marginTop: 1,
+  },
+  adminLabel: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginTop: 2,
+  },
+  leaveButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    margin: 16,
+    paddingVertical: 14,
+    borderRadius: 16,
+    borderWidth: 1.5,
+  },
+  leaveButtonText: {
+    color: '#EF4444',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    padding: 16,
+  },
+  secondaryButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 16,
+    borderWidth: 1,
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  secondaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  primaryButton: {
+    flex: 1,
+    paddingVertical: 14,
+    borderRadius: 16,
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default GroupInfoScreen;
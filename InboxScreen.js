@@ -0,0 +1,244 @@
+// Inbox: the user's conversations ordered by latest activity
+// Shown on the Chat tab while no conversation is open; each row opens its ChatScreen
+import React, { useEffect, useState } from 'react';
+// Import React Native components for UI rendering
+import { View, Text, Image, Pressable, FlatList, StyleSheet } from 'react-native';
+// Import navigation hook for opening chats
+import { useNavigation } from '@react-navigation/native';
+// Import icon library for the empty state and group placeholder
+import { AntDesign, MaterialCommunityIcons } from '@expo/vector-icons';
+// Import Firebase instances
+import { auth } from './firebase';
+// Import inbox listener
+import { subscribeInbox } from './conversations';
+// Import profile helpers for buddy names and avatars
+import { displayNameOf } from './profiles';
+// Import profile listener hook for the buddies listed
+import useProfiles from './useProfiles';
+// Import blocked users listener to hide their message previews
+import { subscribeBlocked } from './contacts';
+// Import custom theme hook for dark/light mode support
+import { useTheme } from './ThemeContext';
+
+// Fallback picture for users without an avatar (same as the Buddies list)
+const DEFAULT_AVATAR = 'https://randomuser.me/api/portraits/lego/1.jpg';
+
+// Time of the last message: HH:MM today, DD/MM on earlier days
+const formatActivityTime = (timestamp) => {
+  if (!timestamp) return '';
+  const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+  if (date.toDateString() === new Date().toDateString()) {
+    return date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', hour12: false });
+  }
+  return date.toLocaleDateString('en-GB', { day: '2-digit', month: '2-digit' });
+};
+
+const InboxScreen = () => {
+  const { theme } = useTheme();
+  const navigation = useNavigation();
+  const email = auth.currentUser?.email;
+  const [conversations, setConversations] = useState([]); // Conversations with their summary
+  const [blocked, setBlocked] = useState([]); // Emails of users the current user blocked
+
+  // Keep the inbox live: new messages reorder it and update previews and badges
+  useEffect(() => {
+    if (!email) return;
+    return subscribeInbox(email, setConversations);
+  }, [email]);
+
+  // Keep the listed buddies' names and avatars live (they may change in Settings)
+  const profiles = useProfiles(conversations
+    .filter((conversation) => !conversation.isGroup)
+    .flatMap((conversation) => conversation.participants));
+
+  // Keep blocked users live so their last messages are not previewed
+  useEffect(() => {
+    if (!email) return;
+    return subscribeBlocked(email, setBlocked);
+  }, [email]);
+
+  // Open a conversation with the same params the Buddies list uses
+  const openConversation = (conversation, buddy) => {
+    if (conversation.isGroup) {
+      navigation.navigate('ChatScreen', { conversationId: conversation.id, isGroup: true });
+    } else {
+      navigation.navigate('ChatScreen', {
+        receiver: buddy,
+        receiverName: displayNameOf(profiles[buddy], buddy),
+        isSelfChat: buddy === email,
+      });
+    }
+  };
+
+  const renderConversation = ({ item }) => {
+    // 1:1 chats show the other participant; self-chat has only the user
+    const buddy = item.participants.find((participant) => participant !== email) || email;
+    const title = item.isGroup ? item.name : buddy === email ? '💾 Personal Notes' : displayNameOf(profiles[buddy], buddy);
+    const picture = item.isGroup ? item.photo : profiles[buddy]?.avatar;
+    const unread = item.unread?.[email] || 0;
+
+    // Prefix who wrote the last message: "You" or, in groups, the sender's name
+    const { lastMessage } = item;
+    const sender = lastMessage.senderId === email
+      ? 'You: '
+      : item.isGroup ? `${lastMessage.senderName}: ` : '';
+
+    return (
+      <Pressable
+        style={[styles.row, { backgroundColor: theme.cardBackground, borderColor: theme.border, shadowColor: theme.shadow }]}
+        android_ripple={{ color: theme.primary + '30' }}
+        onPress={() => openConversation(item, buddy)}
+      >
+        {item.isGroup && !picture ? (
+          <View style={[styles.avatar, styles.groupPlaceholder, { backgroundColor: theme.primaryLight }]}>
+            <MaterialCommunityIcons name="account-group" size={28} color={theme.primary} />
+          </View>
+        ) : (
+          <Image source={{ uri: picture || DEFAULT_AVATAR }} style={[styles.avatar, { borderColor: theme.primary }]} />
+        )}
+
+        <View style={styles.details}>
+          <View style={styles.topLine}>
+            <Text style={[styles.title, { color: theme.text }]} numberOfLines={1}>{title}</Text>
+            <Text style={[styles.time, { color: unread ? theme.primary : theme.textSecondary }]}>
+              {formatActivityTime(item.updatedAt)}
+            </Text>
+          </View>
+          <View style={styles.bottomLine}>
+            <Text
+              style={[styles.preview, { color: theme.textSecondary }, unread > 0 && { color: theme.text, fontWeight: '600' }]}
+              numberOfLines={1}
+            >
+              {blocked.includes(lastMessage.senderId) ? 'Message from a blocked user' : `${sender}${lastMessage.text}`}
+            </Text>
+            {/* Unread badge */}
+            {unread > 0 && (
+              <View style={[styles.badge, { backgroundColor: theme.primary }]}>
+                <Text style={[styles.badgeText, { color: theme.textLight }]}>{unread > 99 ? '99+' : unread}</Text>
+              </View>
+            )}
+          </View>
+        </View>
+      </Pressable>
+    );
+  };
+
+  return (
+    <FlatList
+      style={{ backgroundColor: theme.background }}
+      contentContainerStyle={styles.listContent}
+      data={conversations}
+      keyExtractor={(item) => item.id}
+      renderItem={renderConversation}
+      // Empty state until the first conversation has a message
+      ListEmptyComponent={
+        <View style={styles.emptyState}>
+          {/* Large message icon in a circular container */}
+          <View style={[styles.emptyIcon, { backgroundColor: theme.primaryLight }]}>
+            <AntDesign name="message1" size={56} color={theme.primary} />
+          </View>
+          <Text style={[styles.emptyTitle, { color: theme.text }]}>No Conversations Yet</Text>
+          <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+            Go to Buddies tab and select{'\n'}someone to start chatting
+          </Text>
+        </View>
+      }
+    />
+  );
+};
+
+const styles = StyleSheet.create({
+  listContent: {
+    padding: 16,
+    flexGrow: 1,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 10,
+    borderRadius: 16,
+    borderWidth: 1,
+    elevation: 2,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  avatar: {
+    width: 52,
+    height: 52,
+    borderRadius: 26,
+    borderWidth: 2,
+  },
+  groupPlaceholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 0,
+  },
+  details: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  topLine: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  title: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  time: {
+    fontSize: 12,
+    marginLeft: 8,
+  },
+  bottomLine: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  preview: {
+    flex: 1,
+    fontSize: 14,
+  },
+  badge: {
+    minWidth: 22,
+    height: 22,
+    borderRadius: 11,
+    paddingHorizontal: 6,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  badgeText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyIcon: {
+    width: 120,
+    height: 120,
+    borderRadius: 60,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  emptyTitle: {
+    fontSize: 22,
+    textAlign: 'center',
+    marginBottom: 12,
+    fontWeight: 'bold',
+  },
+  emptyText: {
+    fontSize: 15,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+});
+
+export default InboxScreen;
@@ -1,65 +1,233 @@
 // Import React hooks for state and lifecycle management
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 // Import React Native components for rendering user list UI
-import { View, Text, Pressable, FlatList, Image, StyleSheet } from 'react-native';
-// Import Firestore functions for fetching user data from database
-import { getFirestore, collection, getDocs, query, where } from 'firebase/firestore';
+import { View, Text, Pressable, SectionList, Image, StyleSheet, TextInput, Alert } from 'react-native';
 // Import navigation hooks for screen transitions and refresh triggers
 import { useNavigation, useFocusEffect } from '@react-navigation/native';
 // Import Firebase authentication to identify current user
 import { getAuth } from 'firebase/auth';
 // Import custom theme hook for dark/light mode support
 import { useTheme } from './ThemeContext';
+// Import preferences hook for the favourite buddies
+import { usePreferences } from './PreferencesContext';
+// Import presence listener for the online indicator on avatars
+import { subscribeBuddiesPresence } from './presence';
+// Import group and inbox listeners for the user's groups and recent chats
+import { subscribeGroups, subscribeInbox } from './conversations';
+// Import profile helpers for loading buddies, display names and private emails
+import { fetchProfiles, displayNameOf, visibleEmailOf } from './profiles';
+// Import buddy listener, removal and blocking
+import { subscribeContacts, removeBuddy, subscribeBlocked, blockUser, unblockUser } from './contacts';
+// Import icon libraries for the group actions, search field and favourite stars
+import { MaterialCommunityIcons, Ionicons } from '@expo/vector-icons';
 
-// Component that displays a list of all registered users (buddies)
+// Buddies shown in the "Recently Chatted" section
+const RECENT_LIMIT = 5;
+
+// Index letter of a name: A-Z, or "#" for names starting with anything else
+const indexLetterOf = (name) => {
+  const letter = name.charAt(0).toUpperCase();
+  return letter >= 'A' && letter <= 'Z' ? letter : '#';
+};
+
+// Component that displays the user's accepted buddies (see contacts.js)
 // Highlights the current user and allows navigation to chat conversations
+// Buddies are grouped into favourites, recently chatted and everyone (A-Z with an index strip)
 export const ListUsers = () => {
   const { theme } = useTheme(); // Access current theme for styling
+  const { preferences, updatePreference } = usePreferences(); // Favourite buddies
   const [users, setUsers] = useState([]); // Store fetched user list
-  const db = getFirestore(); // Firestore database instance
+  const [presence, setPresence] = useState({}); // Online presence keyed by email
+  const [groups, setGroups] = useState([]); // Groups the current user belongs to
+  const [recentBuddies, setRecentBuddies] = useState([]); // Emails of 1:1 chats, latest activity first
+  const [searchText, setSearchText] = useState(''); // Text typed in the search field
+  const [contacts, setContacts] = useState({ buddies: [], incoming: [], outgoing: [] }); // Buddies and pending requests
+  const [blocked, setBlocked] = useState([]); // Emails of users the current user blocked
+  const listRef = useRef(null); // SectionList, for the alphabetical index
+  const pendingScrollRef = useRef(null); // Index jump to retry once the rows are laid out
   const auth = getAuth(); // Firebase authentication instance
   const navigation = useNavigation(); // Navigation object for screen transitions
 
-// Fetch users from Firestore whenever screen comes into focus
-// useFocusEffect ensures data is refreshed when navigating back to this screen
+  // Keep the buddy list and the pending request count live
+  useEffect(() => {
+    return subscribeContacts(auth.currentUser.email, setContacts);
+  }, []);
+
+  // Keep blocked users live so their rows show a "BLOCKED" badge
+  useEffect(() => {
+    return subscribeBlocked(auth.currentUser.email, setBlocked);
+  }, []);
+
+// Fetch the profiles of the user and their buddies whenever the screen comes into focus
+// or the buddies change; useFocusEffect refreshes names and avatars edited elsewhere
 useFocusEffect(
     React.useCallback(() => {
       const fetchUsers = async () => {
         try {
-          // Query Firestore "avatars" collection to get all registered users
-          // This collection stores user profiles including email and avatar URL
-          const q = query(
-           collection(db, "avatars"),
-           );
-         
-           // Execute the query and retrieve all documents
-           const querySnapshot = await getDocs(q);
-           
-           // Transform Firestore documents into JavaScript objects
-           const fetchedUsers = querySnapshot.docs.map(doc => ({
-               id: doc.id, // Document ID for unique key
-               ...doc.data(), // Spread all document fields (email, avatar, etc.)
-             }));
-             
-             // Separate current user from other users for special highlighting
-             const currentUser = fetchedUsers.find((user) => user.email === auth.currentUser.email);
-             const otherUsers = fetchedUsers.filter((user) => user.email !== auth.currentUser.email);
-         
-             // Display current user at the top of the list with "YOU" badge
-             // This makes it easy to access personal notes feature
-             // Only add currentUser if it exists to prevent undefined errors
-             if (currentUser) {
-               setUsers([currentUser, ...otherUsers]);
-             } else {
-               setUsers(otherUsers);
-             }        
-           } catch (error) {
-             console.error('Error fetching users:', error);
-           }     
+          const emails = [auth.currentUser.email, ...contacts.buddies];
+          const fetchedProfiles = await fetchProfiles(emails);
+
+          // Buddies without a profile document yet are still listed, by email
+          const fetchedUsers = emails.map((email) =>
+            fetchedProfiles.find((profile) => profile.email === email) || { id: email, email }
+          );
+          setUsers(fetchedUsers);
+        } catch (error) {
+          console.error('Error fetching users:', error);
+        }
       };
       fetchUsers();
-    }, [])
+    }, [contacts.buddies])
   );
+
+  // Keep the buddies' online indicators live while the list is mounted
+  // Listen again only when the buddies change, not for every contacts update (emails never contain ",")
+  const buddiesKey = contacts.buddies.join(',');
+  useEffect(() => {
+    setPresence({});
+    if (!buddiesKey) return;
+    return subscribeBuddiesPresence(buddiesKey.split(','), setPresence);
+  }, [buddiesKey]);
+
+  // Keep the user's groups live (new groups, renamed groups, removed membership)
+  useEffect(() => {
+    return subscribeGroups(auth.currentUser.email, setGroups);
+  }, []);
+
+  // Buddies of the user's 1:1 conversations, most recent activity first
+  useEffect(() => {
+    const email = auth.currentUser.email;
+    return subscribeInbox(email, (conversations) => {
+      setRecentBuddies(conversations
+        .filter((conversation) => !conversation.isGroup)
+        .map((conversation) => conversation.participants.find((participant) => participant !== email))
+        .filter(Boolean));
+    });
+  }, []);
+
+  const favourites = preferences.favouriteBuddies;
+
+  // Long-press a buddy to block, unblock or remove them
+  const showBuddyActions = (user) => {
+    const myEmail = auth.currentUser.email;
+    const isBlocked = blocked.includes(user.email);
+    Alert.alert(user.name, undefined, [
+      isBlocked
+        ? {
+          text: 'Unblock',
+          onPress: () => unblockUser(myEmail, user.email)
+            .catch((error) => console.error('Error unblocking user:', error)),
+        }
+        : { text: 'Block', style: 'destructive', onPress: () => confirmBlock(user) },
+      { text: 'Remove Buddy', style: 'destructive', onPress: () => confirmRemoveBuddy(user) },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  // Blocking hides their messages and stops both of you from messaging until unblocked
+  const confirmBlock = (user) => {
+    Alert.alert('Block user?', `You won't see messages from ${user.name} and you won't be able to message each other until you unblock them.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Block',
+        style: 'destructive',
+        onPress: () => blockUser(auth.currentUser.email, user.email)
+          .catch((error) => console.error('Error blocking user:', error)),
+      },
+    ]);
+  };
+
+  // Removing a buddy means you can no longer message each other
+  const confirmRemoveBuddy = (user) => {
+    Alert.alert('Remove buddy?', `${user.name} will be removed from your buddies and you won't be able to message each other.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: () => removeBuddy(auth.currentUser.email, user.email)
+          .catch((error) => console.error('Error removing buddy:', error)),
+      },
+    ]);
+  };
+
+  // Add or remove a buddy from the favourites section
+  const toggleFavourite = (email) => {
+    updatePreference('favouriteBuddies', (current) =>
+      current.includes(email) ? current.filter((favourite) => favourite !== email) : [...current, email]
+    );
+  };
+
+  // Split the users into list sections
+  // Without a search: your own row (personal notes), favourites, recently chatted, then everyone by letter
+  // While searching: a single section of matches by name or email
+  const sections = useMemo(() => {
+    const myEmail = auth.currentUser?.email;
+    const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+    const named = users.map((user) => ({ ...user, name: displayNameOf(user, user.email) }));
+    const currentUser = named.find((user) => user.email === myEmail);
+    const others = named.filter((user) => user.email !== myEmail).sort(byName);
+
+    const searchTerm = searchText.trim().toLowerCase();
+    if (searchTerm) {
+      const matches = [currentUser, ...others].filter((user) => user && (
+        user.name.toLowerCase().includes(searchTerm) || user.email.toLowerCase().includes(searchTerm)
+      ));
+      return matches.length ? [{ key: 'results', title: 'Results', data: matches }] : [];
+    }
+
+    const result = [];
+    if (currentUser) result.push({ key: 'me', title: null, data: [currentUser] });
+
+    const favouriteUsers = others.filter((user) => favourites.includes(user.email));
+    if (favouriteUsers.length) result.push({ key: 'favourites', title: '⭐ Favourites', data: favouriteUsers });
+
+    const recentUsers = recentBuddies
+      .filter((email) => !favourites.includes(email))
+      .map((email) => others.find((user) => user.email === email))
+      .filter(Boolean)
+      .slice(0, RECENT_LIMIT);
+    if (recentUsers.length) result.push({ key: 'recent', title: '🕘 Recently Chatted', data: recentUsers });
+
+    // Everyone, one section per letter so the index strip can jump to it
+    const letters = {};
+    others.forEach((user) => {
+      const letter = indexLetterOf(user.name);
+      letters[letter] = letters[letter] || [];
+      letters[letter].push(user);
+    });
+    Object.keys(letters)
+      .sort((a, b) => (a === '#') - (b === '#') || a.localeCompare(b))
+      .forEach((letter, index) => {
+        result.push({ key: `letter-${letter}`, title: letter, letter, isFirstLetter: index === 0, data: letters[letter] });
+      });
+    return result;
+  }, [users, favourites, recentBuddies, searchText]);
+
+  // Groups matching the search (all groups without one)
+  const visibleGroups = useMemo(() => {
+    const searchTerm = searchText.trim().toLowerCase();
+    return searchTerm ? groups.filter((group) => group.name.toLowerCase().includes(searchTerm)) : groups;
+  }, [groups, searchText]);
+
+  const letterSections = sections.filter((section) => section.letter);
+
+  // Jump to the buddies whose names start with a letter of the index strip
+  const scrollToLetter = (letter) => {
+    const sectionIndex = sections.findIndex((section) => section.letter === letter);
+    if (sectionIndex < 0) return;
+    pendingScrollRef.current = { sectionIndex, itemIndex: 0, viewOffset: 32 };
+    listRef.current?.scrollToLocation({ ...pendingScrollRef.current, animated: true });
+  };
+
+  // Rows far below have not been measured yet: scroll near them, then retry the jump
+  const onScrollToIndexFailed = (info) => {
+    listRef.current?.getScrollResponder()?.scrollTo({ y: info.averageItemLength * info.index, animated: false });
+    setTimeout(() => {
+      if (pendingScrollRef.current) {
+        listRef.current?.scrollToLocation({ ...pendingScrollRef.current, animated: true });
+      }
+    }, 100);
+  };
 	
   // Only render UI if users array has been populated
   if (users){
@@ -68,96 +236,257 @@ useFocusEffect(
         {/* Header banner showing currently logged-in user email */}
         {/* Modern curved design with gradient-like orange background */}
         <View style={[styles.headerContainer, { backgroundColor: theme.primary }]}>
-          <Text style={[styles.headerText, { color: theme.isDark ? '#FED7AA' : '#FFF7ED' }]}>Logged in as:</Text>
-          <Text style={[styles.currentUserEmail, { color: theme.textLight }]}>{auth.currentUser?.email}</Text>
+          <View style={styles.headerRow}>
+            <View style={styles.headerIdentity}>
+              <Text style={[styles.headerText, { color: theme.isDark ? '#FED7AA' : '#FFF7ED' }]}>Logged in as:</Text>
+              <Text style={[styles.currentUserEmail, { color: theme.textLight }]}>
+                {displayNameOf(users.find((user) => user.email === auth.currentUser?.email), auth.currentUser?.email)}
+              </Text>
+            </View>
+
+            {/* Buddy requests: add buddies and answer requests; badge counts requests waiting for you */}
+            <Pressable style={styles.requestsButton} onPress={() => navigation.navigate('BuddyRequests')} hitSlop={8}>
+              <Ionicons name="person-add" size={20} color={theme.textLight} />
+              {contacts.incoming.length > 0 && (
+                <View style={[styles.requestsBadge, { backgroundColor: theme.textLight }]}>
+                  <Text style={[styles.requestsBadgeText, { color: theme.primary }]}>{contacts.incoming.length}</Text>
+                </View>
+              )}
+            </Pressable>
+          </View>
+
+          {/* Search field filtering buddies by name or email (and groups by name) */}
+          <View style={[styles.searchField, { backgroundColor: theme.cardBackground }]}>
+            <Ionicons name="search" size={18} color={theme.textSecondary} />
+            <TextInput
+              style={[styles.searchInput, { color: theme.text }]}
+              placeholder="Search buddies"
+              placeholderTextColor={theme.textSecondary}
+              value={searchText}
+              onChangeText={setSearchText}
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            {searchText.length > 0 && (
+              <Pressable onPress={() => setSearchText('')} hitSlop={8}>
+                <Ionicons name="close-circle" size={18} color={theme.textSecondary} />
+              </Pressable>
+            )}
+          </View>
         </View>
 
-        {/* FlatList renders scrollable list of users efficiently */}
+        {/* SectionList renders the grouped buddies efficiently */}
         {/* Only renders visible items for better performance with large lists */}
-        <FlatList
-          data={users}
-          // Use document ID as unique key, fallback to index for safety
-          keyExtractor={(item, index) => item?.id || index.toString()}
-          renderItem={({ item }) => {
-            // Guard clause: Skip rendering if item data is missing
-            // Prevents crashes from undefined items in the array
-            if (!item) return null;
+        <View style={styles.listArea}>
+          <SectionList
+            ref={listRef}
+            sections={sections}
+            // Use document ID as unique key (keys are per section, so a favourite can also appear under its letter)
+            keyExtractor={(item, index) => `${item?.id || index}`}
+            keyboardShouldPersistTaps="handled"
+            stickySectionHeadersEnabled={false}
+            onScrollToIndexFailed={onScrollToIndexFailed}
+            // Leave room for the index strip on the right
+            contentContainerStyle={letterSections.length > 1 && !searchText ? styles.listWithIndex : null}
+            // Groups section above the buddies: "New Group" action plus one row per group
+            ListHeaderComponent={
+              <View>
+                {!searchText && (
+                  <Pressable
+                    style={[styles.newGroupButton, { backgroundColor: theme.primaryLight, borderColor: theme.primary }]}
+                    onPress={() => navigation.navigate('CreateGroup')}
+                  >
+                    <MaterialCommunityIcons name="account-multiple-plus" size={22} color={theme.primary} />
+                    <Text style={[styles.newGroupText, { color: theme.primary }]}>New Group</Text>
+                  </Pressable>
+                )}
+
+                {visibleGroups.map((group) => (
+                  <Pressable
+                    key={group.id}
+                    style={[styles.userContainer, { backgroundColor: theme.cardBackground, borderColor: theme.border }]}
+                    onPress={() => navigation.navigate('ChatScreen', { conversationId: group.id, isGroup: true })}
+                  >
+                    <Image
+                      source={{ uri: group.photo || 'https://randomuser.me/api/portraits/lego/2.jpg' }}
+                      style={styles.avatar}
+                    />
+                    <View style={styles.userInfo}>
+                      <Text style={[styles.username, { color: theme.text }]}>👥 {group.name}</Text>
+                      <Text style={[styles.currentUserSubtext, { color: theme.textSecondary }]}>
+                        {group.participants.length} members
+                      </Text>
+                    </View>
+                  </Pressable>
+                ))}
+              </View>
+            }
+            // Section titles: favourites, recent, "Everyone" above the first letter, then each letter
+            renderSectionHeader={({ section }) => section.title ? (
+              <View>
+                {section.isFirstLetter && (
+                  <Text style={[styles.sectionTitle, { color: theme.primary }]}>👥 Everyone</Text>
+                )}
+                <Text style={[
+                  section.letter ? styles.letterTitle : styles.sectionTitle,
+                  { color: section.letter ? theme.textSecondary : theme.primary },
+                ]}>
+                  {section.title}
+                </Text>
+              </View>
+            ) : null}
+            // Until the first request is accepted, explain how to add buddies
+            ListFooterComponent={!searchText && contacts.buddies.length === 0 ? (
+              <Pressable
+                style={[styles.addBuddyHint, { borderColor: theme.primary }]}
+                onPress={() => navigation.navigate('BuddyRequests')}
+              >
+                <Ionicons name="person-add-outline" size={28} color={theme.primary} />
+                <Text style={[styles.addBuddyHintText, { color: theme.textSecondary }]}>
+                  No buddies yet. Tap here to send a buddy request by email or @handle.
+                </Text>
+              </Pressable>
+            ) : null}
+            // No buddy matches the search
+            ListEmptyComponent={searchText ? (
+              <View style={styles.emptySearch}>
+                <Ionicons name="sad-outline" size={40} color={theme.textSecondary} />
+                <Text style={[styles.emptySearchText, { color: theme.textSecondary }]}>No buddies found</Text>
+              </View>
+            ) : null}
+            renderItem={({ item }) => {
+              // Guard clause: Skip rendering if item data is missing
+              // Prevents crashes from undefined items in the array
+              if (!item) return null;
             
-            // Determine if this list item represents the logged-in user
-            // Used for special styling and "YOU" badge display
-            const isCurrentUser = item.email === auth.currentUser?.email;
+              // Determine if this list item represents the logged-in user
+              // Used for special styling and "YOU" badge display
+              const isCurrentUser = item.email === auth.currentUser?.email;
+              // Buddies are shown by display name; their email only if they chose to share it
+              const name = item.name;
+              const visibleEmail = visibleEmailOf(item);
             
-            return (
-              <View>
-                {/* Pressable card for each user in the list */}
-                {/* Clicking navigates to chat screen with that user */}
-                <Pressable 
-                  style={[
-                    styles.userContainer,
-                    { backgroundColor: theme.cardBackground },
-                    // Special highlighting for current user: orange background and border
-                    isCurrentUser && { 
-                      backgroundColor: theme.primaryLight,
-                      borderWidth: 2,
-                      borderColor: theme.primary 
-                    }
-                  ]}
-                  onPress={() => {
-                    // Navigate to ChatScreen with recipient information
-                    // isSelfChat flag enables personal notes mode when true
-                    navigation.navigate('ChatScreen', { 
-                      receiver: item.email,
-                      receiverName: item.email,
-                      isSelfChat: isCurrentUser // True if chatting with yourself
-                    });
-                  }}
-                >
-                  {/* User avatar image (circular) */}
-                  {/* Displays uploaded avatar or falls back to default placeholder */}
-                  <Image 
-                    source={{ 
-                      uri: item.avatar ? item.avatar : 'https://randomuser.me/api/portraits/lego/1.jpg' 
-                    }} 
+              return (
+                <View>
+                  {/* Pressable card for each user in the list */}
+                  {/* Clicking navigates to chat screen with that user */}
+                  <Pressable 
                     style={[
-                      styles.avatar,
-                      isCurrentUser && { borderColor: theme.primary } // Orange border for current user
-                    ]} 
-                  />
+                      styles.userContainer,
+                      { backgroundColor: theme.cardBackground },
+                      // Special highlighting for current user: orange background and border
+                      isCurrentUser && { 
+                        backgroundColor: theme.primaryLight,
+                        borderWidth: 2,
+                        borderColor: theme.primary 
+                      }
+                    ]}
+                    onPress={() => {
+                      // Navigate to ChatScreen with recipient information
+                      // isSelfChat flag enables personal notes mode when true
+                      navigation.navigate('ChatScreen', { 
+                        receiver: item.email,
+                        receiverName: name,
+                        isSelfChat: isCurrentUser // True if chatting with yourself
+                      });
+                    }}
+                    // Long-press a buddy to block or remove them
+                    onLongPress={isCurrentUser ? undefined : () => showBuddyActions(item)}
+                  >
+                    {/* User avatar image (circular) */}
+                    {/* Displays uploaded avatar or falls back to default placeholder */}
+                    <View>
+                      <Image 
+                        source={{ 
+                          uri: item.avatar ? item.avatar : 'https://randomuser.me/api/portraits/lego/1.jpg' 
+                        }} 
+                        style={[
+                          styles.avatar,
+                          isCurrentUser && { borderColor: theme.primary } // Orange border for current user
+                        ]} 
+                      />
+                      {/* Green dot on the avatar while the user is online */}
+                      {presence[item.email]?.online && (
+                        <View style={[styles.onlineDot, { borderColor: theme.cardBackground }]} />
+                      )}
+                    </View>
                   
-                  {/* User information section (email and badges) */}
-                  <View style={styles.userInfo}>
-                    <View style={styles.emailContainer}>
-                      {/* Display user email with special styling for current user */}
-                      <Text style={[
-                        styles.username,
-                        { color: theme.text },
-                        isCurrentUser && { fontWeight: 'bold', color: theme.primary }
-                      ]}>
-                        {item.email}
-                      </Text>
+                    {/* User information section (name, status and badges) */}
+                    <View style={styles.userInfo}>
+                      <View style={styles.emailContainer}>
+                        {/* Display name with special styling for current user */}
+                        <Text style={[
+                          styles.username,
+                          { color: theme.text },
+                          isCurrentUser && { fontWeight: 'bold', color: theme.primary }
+                        ]}>
+                          {name}
+                        </Text>
                       
-                      {/* "YOU" badge displayed only for the logged-in user */}
-                      {/* Helps users quickly identify their own profile */}
+                        {/* "YOU" badge displayed only for the logged-in user */}
+                        {/* Helps users quickly identify their own profile */}
+                        {isCurrentUser && (
+                          <View style={[styles.youBadge, { backgroundColor: theme.primary }]}>
+                            <Text style={styles.youBadgeText}>YOU</Text>
+                          </View>
+                        )}
+
+                        {/* "BLOCKED" badge for users the current user blocked */}
+                        {blocked.includes(item.email) && (
+                          <View style={[styles.youBadge, styles.blockedBadge]}>
+                            <Text style={styles.youBadgeText}>BLOCKED</Text>
+                          </View>
+                        )}
+                      </View>
+                    
+                      {/* Subtitle explaining personal notes feature for current user */}
+                      {/* Only visible on your own profile card */}
                       {isCurrentUser && (
-                        <View style={[styles.youBadge, { backgroundColor: theme.primary }]}>
-                          <Text style={styles.youBadgeText}>YOU</Text>
-                        </View>
+                        <Text style={[styles.currentUserSubtext, { color: theme.textSecondary }]}>
+                          💾 Personal Notes & Reminders
+                        </Text>
+                      )}
+
+                      {/* Status message and, if shared, the email address of other users */}
+                      {!isCurrentUser && !!item.status && (
+                        <Text style={[styles.statusText, { color: theme.textSecondary }]} numberOfLines={1}>
+                          {item.status}
+                        </Text>
+                      )}
+                      {!isCurrentUser && visibleEmail && (
+                        <Text style={[styles.currentUserSubtext, { color: theme.textSecondary }]} numberOfLines={1}>
+                          {visibleEmail}
+                        </Text>
                       )}
                     </View>
-                    
-                    {/* Subtitle explaining personal notes feature for current user */}
-                    {/* Only visible on your own profile card */}
-                    {isCurrentUser && (
-                      <Text style={[styles.currentUserSubtext, { color: theme.textSecondary }]}>
-                        💾 Personal Notes & Reminders
-                      </Text>
+
+                    {/* Favourite star: favourites are listed first */}
+                    {!isCurrentUser && (
+                      <Pressable onPress={() => toggleFavourite(item.email)} hitSlop={10} style={styles.favouriteButton}>
+                        <Ionicons
+                          name={favourites.includes(item.email) ? 'star' : 'star-outline'}
+                          size={22}
+                          color={favourites.includes(item.email) ? theme.primary : theme.textSecondary}
+                        />
+                      </Pressable>
                     )}
-                  </View>
+                  </Pressable>
+                </View>
+              );
+            }}
+          />
+
+          {/* Alphabetical index strip: tap a letter to jump to those buddies */}
+          {letterSections.length > 1 && !searchText && (
+            <View style={styles.indexStrip} pointerEvents="box-none">
+              {letterSections.map((section) => (
+                <Pressable key={section.letter} onPress={() => scrollToLetter(section.letter)} hitSlop={{ left: 12, right: 6 }}>
+                  <Text style={[styles.indexLetter, { color: theme.primary }]}>{section.letter}</Text>
                 </Pressable>
-              </View>
-            );
-          }}
-        />
+              ))}
+            </View>
+          )}
+        </View>
       </View>
     );
   } else {
@@ -242,6 +571,33 @@ const styles = StyleSheet.create({
 		borderColor: '#6366F1',
 		borderWidth: 3,
 	},
+	newGroupButton: {
+		flexDirection: 'row',
+		alignItems: 'center',
+		justifyContent: 'center',
+		marginHorizontal: 12,
+		marginTop: 12,
+		marginBottom: 6,
+		paddingVertical: 12,
+		borderRadius: 16,
+		borderWidth: 1.5,
+		borderStyle: 'dashed',
+	},
+	newGroupText: {
+		fontSize: 15,
+		fontWeight: 'bold',
+		marginLeft: 8,
+	},
+	onlineDot: {
+		position: 'absolute',
+		right: 14,
+		bottom: 2,
+		width: 14,
+		height: 14,
+		borderRadius: 7,
+		backgroundColor: '#22C55E',
+		borderWidth: 2,
+	},
 	userInfo: {
 		flex: 1,
 	},
@@ -275,12 +631,123 @@ const styles = StyleSheet.create({
 		fontWeight: 'bold',
 		letterSpacing: 0.5,
 	},
+	blockedBadge: {
+		backgroundColor: '#EF4444',
+		marginLeft: 6,
+	},
 	currentUserSubtext: {
 		fontSize: 12,
 		color: '#6366F1',
 		fontWeight: '500',
 		marginTop: 2,
 	},
+	statusText: {
+		fontSize: 13,
+		fontStyle: 'italic',
+		marginTop: 2,
+	},
+	headerRow: {
+		flexDirection: 'row',
+		alignItems: 'center',
+	},
+	headerIdentity: {
+		flex: 1,
+	},
+	requestsButton: {
+		backgroundColor: 'rgba(255,255,255,0.2)',
+		padding: 8,
+		borderRadius: 10,
+	},
+	requestsBadge: {
+		position: 'absolute',
+		top: -6,
+		right: -6,
+		minWidth: 18,
+		height: 18,
+		borderRadius: 9,
+		paddingHorizontal: 4,
+		justifyContent: 'center',
+		alignItems: 'center',
+	},
+	requestsBadgeText: {
+		fontSize: 11,
+		fontWeight: 'bold',
+	},
+	addBuddyHint: {
+		flexDirection: 'row',
+		alignItems: 'center',
+		marginHorizontal: 12,
+		marginVertical: 12,
+		padding: 16,
+		borderRadius: 16,
+		borderWidth: 1.5,
+		borderStyle: 'dashed',
+	},
+	addBuddyHintText: {
+		flex: 1,
+		fontSize: 14,
+		marginLeft: 12,
+		lineHeight: 20,
+	},
+	favouriteButton: {
+		padding: 4,
+		marginLeft: 8,
+	},
+	searchField: {
+		flexDirection: 'row',
+		alignItems: 'center',
+		borderRadius: 16,
+		paddingHorizontal: 12,
+		height: 44,
+		marginTop: 14,
+	},
+	searchInput: {
+		flex: 1,
+		fontSize: 15,
+		marginHorizontal: 8,
+	},
+	listArea: {
+		flex: 1,
+	},
+	listWithIndex: {
+		paddingRight: 16,
+	},
+	sectionTitle: {
+		fontSize: 13,
+		fontWeight: 'bold',
+		marginHorizontal: 16,
+		marginTop: 14,
+		marginBottom: 4,
+		letterSpacing: 0.3,
+	},
+	letterTitle: {
+		fontSize: 12,
+		fontWeight: 'bold',
+		marginHorizontal: 18,
+		marginTop: 8,
+	},
+	indexStrip: {
+		position: 'absolute',
+		right: 2,
+		top: 0,
+		bottom: 0,
+		justifyContent: 'center',
+		alignItems: 'center',
+	},
+	indexLetter: {
+		fontSize: 11,
+		fontWeight: 'bold',
+		paddingVertical: 1,
+		paddingHorizontal: 4,
+	},
+	emptySearch: {
+		alignItems: 'center',
+		padding: 32,
+	},
+	emptySearchText: {
+		fontSize: 15,
+		marginTop: 10,
+	},
 	title: {
 		fontSize: 24,
 		marginBottom: 20,
@@ -2,34 +2,53 @@
 // Provides email/password input fields and handles Firebase authentication
 import React, { useState } from 'react';
 // Import React Native components for UI
-import { View, TextInput, Pressable, Text, StyleSheet, Image, Alert, ScrollView, KeyboardAvoidingView, Platform } from 'react-native';
+import { View, TextInput, Pressable, Text, StyleSheet, Image, Alert, ScrollView, KeyboardAvoidingView, Platform, ActivityIndicator } from 'react-native';
 // Import Firebase authentication function for login
 import { signInWithEmailAndPassword } from 'firebase/auth';
 // Import navigation hook for screen transitions
 import { useNavigation } from '@react-navigation/native';
 // Import Firebase auth instance
 import { auth } from './firebase';
+// Import shared form validation and auth error messages
+import { validateLogin, describeAuthError } from './authValidation';
 
 const LoginScreen = () => {
   // State for storing user input
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [errors, setErrors] = useState({}); // Inline error message per field
+  const [isSubmitting, setIsSubmitting] = useState(false);
   const navigation = useNavigation();
 
+  // Update a field and clear its error, so messages disappear as the user fixes them
+  const changeField = (setter, field) => (value) => {
+    setter(value);
+    if (errors[field]) setErrors((current) => ({ ...current, [field]: undefined }));
+  };
+
   // Handle login button press
-  // Attempts to authenticate user with Firebase
+  // Attempts to authenticate user with Firebase once both fields are filled in
   const handleLogin = async () => {
+    const formErrors = validateLogin({ email, password });
+    setErrors(formErrors);
+    if (Object.keys(formErrors).length > 0) return;
+
+    setIsSubmitting(true);
     try {
       // Sign in with email and password
       // On success, useAuthentication hook will detect the change and show main app
-      await signInWithEmailAndPassword(auth, email, password);
-      console.log("The user has successfully logged in")
+      await signInWithEmailAndPassword(auth, email.trim(), password);
     } catch(error) {
-        // Handle authentication errors (wrong password, user not found, etc.)
-        const errorMessage = error.message;
-        console.log(errorMessage);
-        Alert.alert("Login Error", "Please check the credentials");
-    };
+      // Errors about one field (wrong password, unknown email...) go under it, others in an alert
+      console.log(error.code, error.message);
+      const { field, message } = describeAuthError(error, 'Login failed. Please try again.');
+      if (field) {
+        setErrors({ [field]: message });
+      } else {
+        Alert.alert("Login Error", message);
+      }
+      setIsSubmitting(false);
+    }
   };
 
   return (
@@ -54,26 +73,37 @@ const LoginScreen = () => {
 
           {/* Email input field with appropriate keyboard type */}
           <TextInput
-            style={styles.input}
+            style={[styles.input, errors.email && styles.inputError]}
             placeholder="Email"
             value={email}
-            onChangeText={setEmail}
+            onChangeText={changeField(setEmail, 'email')}
             keyboardType="email-address" // Shows email-optimized keyboard
             autoCapitalize="none" // Prevents automatic capitalization of email
           />
+          {errors.email && <Text style={styles.errorText}>{errors.email}</Text>}
 
           {/* Password input field with hidden text */}
           <TextInput
-            style={styles.input}
+            style={[styles.input, errors.password && styles.inputError]}
             placeholder="Password"
             value={password}
-            onChangeText={setPassword}
+            onChangeText={changeField(setPassword, 'password')}
             secureTextEntry // Hides password characters for security
           />
+          {errors.password && <Text style={styles.errorText}>{errors.password}</Text>}
+
+          {/* Link to the password reset screen, passing the email typed so far */}
+          <Pressable style={styles.forgotLinkContainer} onPress={() => navigation.navigate('ForgotPassword', { email })}>
+            <Text style={styles.signupLink}>Forgot password?</Text>
+          </Pressable>
 
           {/* Login button */}
-          <Pressable style={styles.button} onPress={handleLogin}>
-            <Text style={styles.buttonText}>Log In</Text>
+          <Pressable style={[styles.button, isSubmitting && styles.buttonDisabled]} onPress={handleLogin} disabled={isSubmitting}>
+            {isSubmitting ? (
+              <ActivityIndicator color="white" />
+            ) : (
+              <Text style={styles.buttonText}>Log In</Text>
+            )}
           </Pressable>
 
           {/* Link to sign up screen for new users */}
@@ -115,11 +145,27 @@ const styles = StyleSheet.create({
     borderRadius: 5,
     width:'80%',
   },
+  inputError: {
+    borderColor: '#DC2626',
+  },
+  errorText: {
+    color: '#B91C1C',
+    fontSize: 13,
+    width: '80%',
+    marginTop: -10,
+    marginBottom: 12,
+  },
   signupLinkContainer: {
     flexDirection: 'row',
     justifyContent: 'center',
     marginTop: 20,
   },
+  forgotLinkContainer: {
+    alignSelf: 'flex-end',
+    marginRight: '10%',
+    marginTop: -5,
+    marginBottom: 15,
+  },
   signupLink: {
     color: 'blue',
     fontWeight: 'bold',
@@ -136,6 +182,9 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     alignItems: 'center',
   },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
   buttonText: {
     color: 'white',
     fontSize: 16,
@@ -0,0 +1,76 @@
+// Long-press menu for chat messages
+// Bottom sheet listing the actions available for the pressed message
+import React from 'react';
+// Import React Native components for UI rendering
+import { Text, Pressable, Modal, StyleSheet } from 'react-native';
+// Import icon library for action icons
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+// Import custom theme hook for dark/light mode support
+import { useTheme } from './ThemeContext';
+
+// Props:
+// - visible: whether the sheet is shown
+// - actions: [{ key, label, icon, destructive, onPress }]
+// - onClose: called when the sheet should close (backdrop tap, back button or after an action)
+// - children: optional content shown above the actions
+export const MessageActionsMenu = ({ visible, actions, onClose, children }) => {
+  const { theme } = useTheme();
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      {/* Tapping the dimmed backdrop closes the menu */}
+      <Pressable style={styles.backdrop} onPress={onClose}>
+        <Pressable style={[styles.sheet, { backgroundColor: theme.cardBackground }]}>
+          {children}
+
+          {actions.map((action) => (
+            <Pressable
+              key={action.key}
+              style={[styles.action, { borderTopColor: theme.border }]}
+              android_ripple={{ color: theme.primary + '30' }}
+              onPress={() => {
+                onClose();
+                action.onPress();
+              }}
+            >
+              <MaterialCommunityIcons
+                name={action.icon}
+                size={22}
+                color={action.destructive ? '#EF4444' : theme.primary}
+              />
+              <Text style={[styles.actionLabel, { color: action.destructive ? '#EF4444' : theme.text }]}>
+                {action.label}
+              </Text>
+            </Pressable>
+          ))}
+        </Pressable>
+      </Pressable>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0,0,0,0.4)',
+  },
+  sheet: {
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    paddingTop: 8,
+    paddingBottom: 24,
+  },
+  action: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 16,
+    paddingHorizontal: 24,
+    borderTopWidth: StyleSheet.hairlineWidth,
+  },
+  actionLabel: {
+    fontSize: 16,
+    fontWeight: '500',
+    marginLeft: 16,
+  },
+});
@@ -0,0 +1,107 @@
+// Attachment content rendered inside chat bubbles
+// Images show as thumbnails that open full screen, voice notes as inline players,
+// and other files as cards with name and size
+import React, { useState } from 'react';
+// Import React Native components for UI rendering
+import { View, Text, Image, Pressable, Modal, StyleSheet, Linking } from 'react-native';
+// Import icon library for file and close icons
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+// Import size formatter
+import { formatFileSize } from './attachments';
+// Import inline voice note player
+import { VoiceNotePlayer } from './VoiceNotePlayer';
+
+// Props:
+// - attachment: { type: 'image' | 'audio' | 'file', url, name, size, mimeType, durationMs }
+// - isOwn: true inside the sender's orange bubble (light foreground colors)
+// - theme: current theme object
+export const MessageAttachment = ({ attachment, isOwn, theme }) => {
+  const [isFullScreen, setIsFullScreen] = useState(false);
+  const foreground = isOwn ? theme.textLight : theme.text;
+
+  if (attachment.type === 'audio') {
+    return <VoiceNotePlayer attachment={attachment} isOwn={isOwn} theme={theme} />;
+  }
+
+  if (attachment.type === 'image') {
+    return (
+      <>
+        {/* Thumbnail: tap for full screen */}
+        <Pressable onPress={() => setIsFullScreen(true)}>
+          <Image source={{ uri: attachment.url }} style={styles.thumbnail} />
+        </Pressable>
+
+        {/* Full screen viewer */}
+        <Modal visible={isFullScreen} transparent animationType="fade" onRequestClose={() => setIsFullScreen(false)}>
+          <View style={styles.viewer}>
+            <Image source={{ uri: attachment.url }} style={styles.fullImage} resizeMode="contain" />
+            <Pressable style={styles.closeButton} onPress={() => setIsFullScreen(false)} hitSlop={12}>
+              <MaterialCommunityIcons name="close" size={28} color="#ffffff" />
+            </Pressable>
+          </View>
+        </Modal>
+      </>
+    );
+  }
+
+  // File card: opens the file in the system viewer/browser once uploaded
+  return (
+    <Pressable
+      style={[styles.fileCard, { backgroundColor: isOwn ? 'rgba(255,255,255,0.2)' : theme.primaryLight }]}
+      onPress={() => attachment.url?.startsWith('http') && Linking.openURL(attachment.url)}
+    >
+      <MaterialCommunityIcons name="file-document-outline" size={32} color={isOwn ? theme.textLight : theme.primary} />
+      <View style={styles.fileInfo}>
+        <Text style={[styles.fileName, { color: foreground }]} numberOfLines={2}>
+          {attachment.name}
+        </Text>
+        <Text style={[styles.fileSize, { color: isOwn ? foreground : theme.textSecondary }]}>
+          {formatFileSize(attachment.size)}
+        </Text>
+      </View>
+    </Pressable>
+  );
+};
+
+const styles = StyleSheet.create({
+  thumbnail: {
+    width: 200,
+    height: 200,
+    borderRadius: 14,
+    marginBottom: 4,
+  },
+  viewer: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.95)',
+    justifyContent: 'center',
+  },
+  fullImage: {
+    width: '100%',
+    height: '80%',
+  },
+  closeButton: {
+    position: 'absolute',
+    top: 48,
+    right: 20,
+  },
+  fileCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 10,
+    borderRadius: 12,
+    marginBottom: 4,
+    minWidth: 180,
+  },
+  fileInfo: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  fileName: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  fileSize: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+});
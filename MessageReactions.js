@@ -0,0 +1,142 @@
+// Reaction chips shown under a chat bubble
+// Each chip shows an emoji and how many people used it; tapping a chip lists who reacted
+import React, { useState } from 'react';
+// Import React Native components for UI rendering
+import { View, Text, Pressable, Modal, StyleSheet } from 'react-native';
+// Import reaction aggregation helper
+import { summarizeReactions } from './conversations';
+
+// Props:
+// - reactions: { [email]: emoji } map stored on the message
+// - currentUser: email of the signed-in user (their chip is highlighted)
+// - isOwn: true under the sender's own bubbles (chips align right)
+// - resolveName(email): display name for the "who reacted" list
+// - onRemoveOwn: removes the current user's reaction
+// - theme: current theme object
+export const MessageReactions = ({ reactions, currentUser, isOwn, resolveName, onRemoveOwn, theme }) => {
+  const [openEmoji, setOpenEmoji] = useState(null);
+  const summary = summarizeReactions(reactions);
+
+  if (summary.length === 0) return null;
+
+  const openGroup = summary.find((item) => item.emoji === openEmoji);
+
+  return (
+    <>
+      <View style={[styles.row, { justifyContent: isOwn ? 'flex-end' : 'flex-start' }]}>
+        {summary.map((item) => {
+          const isMine = item.users.includes(currentUser);
+          return (
+            <Pressable
+              key={item.emoji}
+              onPress={() => setOpenEmoji(item.emoji)}
+              style={[
+                styles.chip,
+                {
+                  backgroundColor: isMine ? theme.primaryLight : theme.cardBackground,
+                  borderColor: isMine ? theme.primary : theme.border,
+                },
+              ]}
+            >
+              <Text style={styles.chipEmoji}>{item.emoji}</Text>
+              {item.count > 1 && (
+                <Text style={[styles.chipCount, { color: theme.textSecondary }]}>{item.count}</Text>
+              )}
+            </Pressable>
+          );
+        })}
+      </View>
+
+      {/* Who reacted with the tapped emoji; your own entry can be removed from here */}
+      <Modal visible={Boolean(openGroup)} transparent animationType="fade" onRequestClose={() => setOpenEmoji(null)}>
+        <Pressable style={styles.backdrop} onPress={() => setOpenEmoji(null)}>
+          <Pressable style={[styles.card, { backgroundColor: theme.cardBackground }]}>
+            {openGroup && (
+              <>
+                <Text style={[styles.cardTitle, { color: theme.text }]}>
+                  {openGroup.emoji}  {openGroup.count}
+                </Text>
+                {openGroup.users.map((email) => (
+                  <Pressable
+                    key={email}
+                    disabled={email !== currentUser}
+                    onPress={() => {
+                      setOpenEmoji(null);
+                      onRemoveOwn();
+                    }}
+                    style={[styles.userRow, { borderTopColor: theme.border }]}
+                  >
+                    <Text style={[styles.userName, { color: theme.text }]}>
+                      {email === currentUser ? 'You' : resolveName(email)}
+                    </Text>
+                    {email === currentUser && (
+                      <Text style={[styles.removeHint, { color: theme.textSecondary }]}>Tap to remove</Text>
+                    )}
+                  </Pressable>
+                ))}
+              </>
+            )}
+          </Pressable>
+        </Pressable>
+      </Modal>
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginHorizontal: 12,
+    marginTop: -2,
+    marginBottom: 4,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginRight: 4,
+    marginTop: 2,
+  },
+  chipEmoji: {
+    fontSize: 14,
+  },
+  chipCount: {
+    fontSize: 12,
+    fontWeight: '600',
+    marginLeft: 3,
+  },
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 32,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+  },
+  card: {
+    borderRadius: 16,
+    paddingVertical: 12,
+  },
+  cardTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    paddingHorizontal: 20,
+    paddingBottom: 12,
+  },
+  userRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    borderTopWidth: StyleSheet.hairlineWidth,
+  },
+  userName: {
+    fontSize: 16,
+  },
+  removeHint: {
+    fontSize: 12,
+  },
+});
@@ -0,0 +1,103 @@
+// Preferences Context: Global state for user-configurable app settings (privacy, notifications, etc.)
+// Mirrors ThemeContext: values are persisted with AsyncStorage and exposed through a hook
+// Preferences belong to the signed-in account, so a shared device keeps them apart per user
+import React, { createContext, useState, useContext, useEffect } from 'react';
+// Import AsyncStorage for persisting preferences across app sessions
+import AsyncStorage from '@react-native-async-storage/async-storage';
+// Import Firebase auth state listener to switch preferences with the signed-in user
+import { onAuthStateChanged } from 'firebase/auth';
+// Import Firebase auth instance
+import { auth } from './firebase';
+
+// AsyncStorage key holding all preferences of a user as one JSON object
+const preferencesKey = (email) => `preferences:${email}`;
+// Key used by earlier versions for the whole device; taken over by the first user who signs in
+const LEGACY_PREFERENCES_KEY = 'preferences';
+
+// Default values used until the saved preferences are loaded
+export const defaultPreferences = {
+  readReceipts: true, // Send read receipts to buddies when their messages are viewed
+  notificationsEnabled: true, // Show system notifications for messages received in the background
+  notificationPreviews: true, // Include the message text in notifications
+  mutedConversations: [], // Conversation IDs without notifications or in-app banners
+  favouriteBuddies: [], // Emails of buddies pinned to the top of the Buddies list
+  autoLogoutMinutes: 0, // Sign out after this many minutes without activity (0 = never)
+};
+
+// Retrieve a user's saved preferences (empty when never saved)
+// The device-wide preferences of earlier versions go to the first user who signs in, then are removed
+const loadPreferences = async (email) => {
+  const saved = await AsyncStorage.getItem(preferencesKey(email));
+  if (saved !== null) return JSON.parse(saved);
+
+  const legacy = await AsyncStorage.getItem(LEGACY_PREFERENCES_KEY);
+  if (legacy === null) return {};
+  await AsyncStorage.removeItem(LEGACY_PREFERENCES_KEY);
+  return JSON.parse(legacy);
+};
+
+// Create React Context for preferences state
+const PreferencesContext = createContext();
+
+// PreferencesProvider component wraps the app next to ThemeProvider
+export const PreferencesProvider = ({ children }) => {
+  const [preferences, setPreferences] = useState(defaultPreferences);
+  const [email, setEmail] = useState(auth.currentUser?.email || null); // Signed-in user
+  const [loadedKey, setLoadedKey] = useState(null); // Storage key of the preferences in state, once loaded
+
+  // Follow sign-in and sign-out
+  useEffect(() => onAuthStateChanged(auth, (user) => setEmail(user?.email || null)), []);
+
+  // Load the signed-in user's preferences; signed out, the defaults apply
+  useEffect(() => {
+    setPreferences(defaultPreferences);
+    setLoadedKey(null);
+    if (!email) return;
+
+    let active = true;
+    loadPreferences(email)
+      .then((saved) => {
+        if (!active) return;
+        setPreferences({ ...defaultPreferences, ...saved });
+        setLoadedKey(preferencesKey(email));
+      })
+      .catch((error) => console.error('Error loading preferences:', error));
+    return () => {
+      active = false;
+    };
+  }, [email]);
+
+  // Persist every change of the loaded preferences
+  useEffect(() => {
+    if (!loadedKey) return;
+    AsyncStorage.setItem(loadedKey, JSON.stringify(preferences))
+      .catch((error) => console.error('Error saving preferences:', error));
+  }, [preferences, loadedKey]);
+
+  // Change a single preference; value may be a function of the current value
+  const updatePreference = (key, value) => {
+    setPreferences((current) => ({
+      ...current,
+      [key]: typeof value === 'function' ? value(current[key]) : value,
+    }));
+  };
+
+  return (
+    <PreferencesContext.Provider value={{ preferences, updatePreference }}>
+      {children}
+    </PreferencesContext.Provider>
+  );
+};
+
+// Custom hook for accessing preferences in any component
+// Usage: const { preferences, updatePreference } = usePreferences();
+export const usePreferences = () => {
+  const context = useContext(PreferencesContext);
+
+  // Safety check: Ensures hook is only used inside PreferencesProvider
+  if (!context) {
+    throw new Error('usePreferences must be used within PreferencesProvider');
+  }
+
+  return context;
+};
@@ -0,0 +1,62 @@
+// Quoted preview of a replied-to message
+// Shown at the top of reply bubbles and in the composer while writing a reply
+import React from 'react';
+// Import React Native components for UI rendering
+import { Text, Pressable, StyleSheet } from 'react-native';
+
+// Short description of a quoted message's content
+const describeReply = (reply) => {
+  if (reply.text) return reply.text;
+  if (reply.attachmentType === 'image') return '📷 Photo';
+  if (reply.attachmentType === 'audio') return '🎤 Voice message';
+  if (reply.attachmentType === 'file') return '📎 File';
+  return 'Message';
+};
+
+// Props:
+// - reply: { _id, text, userId, userName, attachmentType }
+// - isOwn: true inside the sender's orange bubble (light foreground colors)
+// - theme: current theme object
+// - onPress: optional, e.g. jump to the original message
+export const QuotedMessage = ({ reply, isOwn, theme, onPress }) => {
+  const accent = isOwn ? theme.textLight : theme.primary;
+
+  return (
+    <Pressable
+      onPress={onPress}
+      disabled={!onPress}
+      style={[
+        styles.container,
+        {
+          borderLeftColor: accent,
+          backgroundColor: isOwn ? 'rgba(255,255,255,0.2)' : theme.primaryLight,
+        },
+      ]}
+    >
+      <Text style={[styles.author, { color: accent }]} numberOfLines={1}>
+        {reply.userName || reply.userId}
+      </Text>
+      <Text style={[styles.text, { color: isOwn ? theme.textLight : theme.textSecondary }]} numberOfLines={2}>
+        {describeReply(reply)}
+      </Text>
+    </Pressable>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    borderLeftWidth: 3,
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginBottom: 6,
+  },
+  author: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginBottom: 2,
+  },
+  text: {
+    fontSize: 13,
+  },
+});
@@ -0,0 +1,62 @@
+// Quick reaction row shown at the top of the message long-press menu
+// Tapping the current reaction again removes it; "+" opens the full emoji picker
+import React from 'react';
+// Import React Native components for UI rendering
+import { View, Text, Pressable, StyleSheet } from 'react-native';
+// Import icon library for the "more" button
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+// Import the default quick reactions
+import { QUICK_REACTIONS } from './conversations';
+
+// Props:
+// - selected: the current user's reaction on the message (or undefined)
+// - onSelect(emoji): called with the tapped emoji
+// - onMore: opens the full emoji picker
+// - theme: current theme object
+export const ReactionBar = ({ selected, onSelect, onMore, theme }) => (
+  <View style={styles.container}>
+    {QUICK_REACTIONS.map((emoji) => (
+      <Pressable
+        key={emoji}
+        onPress={() => onSelect(emoji)}
+        style={[styles.emojiButton, selected === emoji && { backgroundColor: theme.primaryLight }]}
+      >
+        <Text style={styles.emoji}>{emoji}</Text>
+      </Pressable>
+    ))}
+
+    {/* Current reaction not in the quick list (picked from the full picker) */}
+    {selected && !QUICK_REACTIONS.includes(selected) && (
+      <Pressable
+        onPress={() => onSelect(selected)}
+        style={[styles.emojiButton, { backgroundColor: theme.primaryLight }]}
+      >
+        <Text style={styles.emoji}>{selected}</Text>
+      </Pressable>
+    )}
+
+    <Pressable onPress={onMore} style={[styles.emojiButton, { backgroundColor: theme.border }]}>
+      <MaterialCommunityIcons name="plus" size={22} color={theme.textSecondary} />
+    </Pressable>
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-around',
+    paddingHorizontal: 12,
+    paddingVertical: 12,
+  },
+  emojiButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emoji: {
+    fontSize: 26,
+  },
+});
@@ -0,0 +1,264 @@
+// Report screen for an abusive user
+// Pick the offending messages and a reason; the report (with the message IDs) is stored in the
+// "reports" collection for moderators. Opened from the ChatScreen header menu or a message's long-press menu
+import React, { useEffect, useState } from 'react';
+// Import React Native components for UI rendering
+import { View, Text, TextInput, Pressable, FlatList, Switch, StyleSheet, ActivityIndicator } from 'react-native';
+// Import Firestore functions for loading the conversation's recent messages
+import { query, orderBy, limit, getDocs } from 'firebase/firestore';
+// Import navigation hooks for params and closing the screen
+import { useNavigation, useRoute } from '@react-navigation/native';
+// Import Toast for user-friendly notifications
+import Toast from 'react-native-toast-message';
+// Import icon library for selection markers
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+// Import Firebase auth instance to identify the reporter
+import { auth } from './firebase';
+// Import messages subcollection reference
+import { messagesCollection } from './conversations';
+// Import decryption so encrypted messages can be recognised before reporting them
+import { decryptMessage } from './encryption';
+// Import report helpers and the block action
+import { reportUser, REPORT_REASONS, REPORT_DETAILS_LIMIT } from './moderation';
+import { blockUser } from './contacts';
+// Import custom theme hook for dark/light mode support
+import { useTheme } from './ThemeContext';
+
+// Recent messages of the conversation searched for the reported user's messages
+const RECENT_MESSAGES = 100;
+
+const ReportScreen = () => {
+  const { theme } = useTheme();
+  const navigation = useNavigation();
+  const { reportedUser, reportedName, conversationId, messageId } = useRoute().params;
+  const me = auth.currentUser.email;
+
+  const [messages, setMessages] = useState([]); // The reported user's recent messages
+  const [isLoading, setIsLoading] = useState(true);
+  const [selectedIds, setSelectedIds] = useState(messageId ? [messageId] : []); // Offending messages
+  const [reason, setReason] = useState(null); // Key of the chosen REPORT_REASONS entry
+  const [details, setDetails] = useState(''); // Optional free-text explanation
+  const [alsoBlock, setAlsoBlock] = useState(true); // Block the user after reporting
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Load the reported user's recent messages in this conversation
+  useEffect(() => {
+    getDocs(query(messagesCollection(conversationId), orderBy('createdAt', 'desc'), limit(RECENT_MESSAGES)))
+      .then((snapshot) => {
+        setMessages(snapshot.docs
+          .map((messageDoc) => ({ _id: messageDoc.id, ...decryptMessage(messageDoc.data()) }))
+          .filter((message) => message.user?._id === reportedUser && !message.deleted));
+      })
+      .catch((error) => console.error('Error loading messages to report:', error))
+      .finally(() => setIsLoading(false));
+  }, [conversationId, reportedUser]);
+
+  const toggleMessage = (id) => {
+    setSelectedIds((current) => current.includes(id) ? current.filter((item) => item !== id) : [...current, id]);
+  };
+
+  // File the report, then block the user if asked to
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+    try {
+      await reportUser({ reporter: me, reportedUser, conversationId, messageIds: selectedIds, reason, details });
+      if (alsoBlock) await blockUser(me, reportedUser);
+      Toast.show({
+        type: 'success',
+        text1: 'Report Sent',
+        text2: alsoBlock ? `Thanks. ${reportedName} is now blocked.` : 'Thanks for helping keep the app safe.',
+        position: 'top',
+      });
+      navigation.goBack();
+    } catch (error) {
+      console.error('Error sending report:', error);
+      Toast.show({
+        type: 'error',
+        text1: 'Report Not Sent',
+        text2: 'Failed to send the report. Please try again.',
+        position: 'top',
+      });
+      setIsSubmitting(false);
+    }
+  };
+
+  // Short description of a message for the selection list
+  const describeMessage = (message) => {
+    if (message.decryptionFailed) return '🔒 Encrypted message';
+    if (message.text) return message.text;
+    if (message.attachment) return `📎 ${message.attachment.name || message.attachment.type}`;
+    return 'Message';
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <FlatList
+        data={messages}
+        keyExtractor={(item) => item._id}
+        keyboardShouldPersistTaps="handled"
+        contentContainerStyle={styles.listContent}
+        ListHeaderComponent={
+          <View>
+            <Text style={[styles.title, { color: theme.text }]}>Report {reportedName}</Text>
+            <Text style={[styles.sectionTitle, { color: theme.text }]}>Why are you reporting them?</Text>
+            {REPORT_REASONS.map((option) => (
+              <Pressable key={option.key} style={styles.reasonRow} onPress={() => setReason(option.key)}>
+                <MaterialCommunityIcons
+                  name={reason === option.key ? 'radiobox-marked' : 'radiobox-blank'}
+                  size={22}
+                  color={reason === option.key ? theme.primary : theme.textSecondary}
+                />
+                <Text style={[styles.reasonText, { color: theme.text }]}>{option.label}</Text>
+              </Pressable>
+            ))}
+
+            <TextInput
+              style={[styles.input, { backgroundColor: theme.cardBackground, color: theme.text, borderColor: theme.border }]}
+              placeholder="Add details (optional)"
+              placeholderTextColor={theme.textSecondary}
+              value={details}
+              onChangeText={setDetails}
+              maxLength={REPORT_DETAILS_LIMIT}
+              multiline
+            />
+
+            <Text style={[styles.sectionTitle, { color: theme.text }]}>
+              Messages to include ({selectedIds.length} selected)
+            </Text>
+            {isLoading && <ActivityIndicator color={theme.primary} style={styles.loader} />}
+          </View>
+        }
+        renderItem={({ item }) => {
+          const isSelected = selectedIds.includes(item._id);
+          return (
+            <Pressable
+              style={[styles.messageRow, { backgroundColor: theme.cardBackground, borderColor: isSelected ? theme.primary : theme.border }]}
+              onPress={() => toggleMessage(item._id)}
+            >
+              <Text style={[styles.messageText, { color: theme.text }]} numberOfLines={3}>{describeMessage(item)}</Text>
+              <MaterialCommunityIcons
+                name={isSelected ? 'checkbox-marked-circle' : 'checkbox-blank-circle-outline'}
+                size={22}
+                color={isSelected ? theme.primary : theme.textSecondary}
+              />
+            </Pressable>
+          );
+        }}
+        ListEmptyComponent={!isLoading ? (
+          <Text style={[styles.emptyText, { color: theme.textSecondary }]}>No recent messages from {reportedName}</Text>
+        ) : null}
+      />
+
+      {/* Block toggle and submit button pinned below the list */}
+      <View style={[styles.footer, { borderTopColor: theme.border, backgroundColor: theme.cardBackground }]}>
+        <View style={styles.blockRow}>
+          <Text style={[styles.blockText, { color: theme.text }]}>Also block {reportedName}</Text>
+          <Switch
+            value={alsoBlock}
+            onValueChange={setAlsoBlock}
+            trackColor={{ false: theme.border, true: theme.primary }}
+            thumbColor={theme.textLight}
+          />
+        </View>
+        <Pressable
+          style={[styles.button, { backgroundColor: '#EF4444', opacity: !reason || isSubmitting ? 0.6 : 1 }]}
+          onPress={handleSubmit}
+          disabled={!reason || isSubmitting}
+        >
+          {isSubmitting ? (
+            <ActivityIndicator color="#ffffff" />
+          ) : (
+            <Text style={styles.buttonText}>Send Report</Text>
+          )}
+        </Pressable>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  listContent: {
+    padding: 16,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  reasonRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  reasonText: {
+    fontSize: 15,
+    marginLeft: 10,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    fontSize: 15,
+    minHeight: 72,
+    textAlignVertical: 'top',
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  loader: {
+    marginVertical: 16,
+  },
+  messageRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 12,
+    borderWidth: 1,
+  },
+  messageText: {
+    flex: 1,
+    fontSize: 14,
+    marginRight: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  footer: {
+    padding: 16,
+    borderTopWidth: 1,
+  },
+  blockRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  blockText: {
+    fontSize: 15,
+    flex: 1,
+  },
+  button: {
+    paddingVertical: 14,
+    borderRadius: 16,
+    alignItems: 'center',
+  },
+  buttonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default ReportScreen;
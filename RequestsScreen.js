@@ -0,0 +1,263 @@
+// Buddy requests screen
+// Send a request by email or @handle, accept or decline incoming requests and cancel sent ones
+// Opened from the Buddies list header
+import React, { useEffect, useState } from 'react';
+// Import React Native components for UI rendering
+import { View, Text, TextInput, Image, Pressable, SectionList, StyleSheet, ActivityIndicator } from 'react-native';
+// Import Toast for user-friendly notifications
+import Toast from 'react-native-toast-message';
+// Import Firebase auth instance to identify the current user
+import { auth } from './firebase';
+// Import buddy request helpers
+import { sendBuddyRequest, acceptBuddyRequest, removeBuddy, subscribeContacts } from './contacts';
+// Import profile helpers for names and avatars of requesters
+import { fetchProfiles, displayNameOf, visibleEmailOf } from './profiles';
+// Import custom theme hook for dark/light mode support
+import { useTheme } from './ThemeContext';
+// Import icon library for the empty state
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+
+// Fallback picture for users without an avatar (same as the Buddies list)
+const DEFAULT_AVATAR = 'https://randomuser.me/api/portraits/lego/1.jpg';
+
+const RequestsScreen = () => {
+  const { theme } = useTheme();
+  const email = auth.currentUser.email;
+  const [input, setInput] = useState(''); // Email or @handle to send a request to
+  const [isSending, setIsSending] = useState(false); // Disables the button while sending
+  const [contacts, setContacts] = useState({ buddies: [], incoming: [], outgoing: [] });
+  const [profiles, setProfiles] = useState({}); // Profiles of requesters and requested users, keyed by email
+
+  // Keep requests live: new ones appear, answered ones disappear
+  useEffect(() => subscribeContacts(email, setContacts), [email]);
+
+  // Load names and avatars of everyone with a pending request
+  useEffect(() => {
+    const emails = [...contacts.incoming, ...contacts.outgoing].map((request) => request.email);
+    if (emails.length === 0) return;
+    fetchProfiles(emails)
+      .then((loaded) => setProfiles(Object.fromEntries(loaded.map((profile) => [profile.email, profile]))))
+      .catch((error) => console.error('Error fetching request profiles:', error));
+  }, [contacts.incoming, contacts.outgoing]);
+
+  // Send a request; expected failures (unknown user, already buddies...) are explained in a toast
+  const handleSend = async () => {
+    if (!input.trim()) return;
+    setIsSending(true);
+    try {
+      const result = await sendBuddyRequest(email, input);
+      setInput('');
+      Toast.show({
+        type: 'success',
+        text1: result.status === 'accepted' ? 'Buddy Added' : 'Request Sent',
+        text2: result.status === 'accepted'
+          ? 'They had already sent you a request, so you are now buddies 🎉'
+          : 'You can chat once they accept your request.',
+        position: 'top',
+      });
+    } catch (error) {
+      if (!error.code?.startsWith('buddies/')) console.error('Error sending buddy request:', error);
+      Toast.show({
+        type: 'error',
+        text1: 'Request Not Sent',
+        text2: error.code?.startsWith('buddies/') ? error.message : 'Failed to send the request. Please try again.',
+        position: 'top',
+      });
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  // Accept, decline or cancel a request
+  const respond = (request, accept) => {
+    const action = accept ? acceptBuddyRequest(email, request.email) : removeBuddy(email, request.email);
+    action.catch((error) => {
+      console.error('Error answering buddy request:', error);
+      Toast.show({
+        type: 'error',
+        text1: 'Something Went Wrong',
+        text2: 'The request could not be updated. Please try again.',
+        position: 'top',
+      });
+    });
+  };
+
+  const sections = [
+    { key: 'incoming', title: `Received (${contacts.incoming.length})`, data: contacts.incoming },
+    { key: 'outgoing', title: `Sent (${contacts.outgoing.length})`, data: contacts.outgoing },
+  ].filter((section) => section.data.length > 0);
+
+  const renderRequest = ({ item, section }) => {
+    const profile = profiles[item.email];
+    const details = [profile?.handle && `@${profile.handle}`, visibleEmailOf(profile)].filter(Boolean).join(' · ');
+    return (
+      <View style={[styles.row, { backgroundColor: theme.cardBackground, borderColor: theme.border }]}>
+        <Image source={{ uri: profile?.avatar || DEFAULT_AVATAR }} style={[styles.avatar, { borderColor: theme.border }]} />
+        <View style={styles.details}>
+          <Text style={[styles.name, { color: theme.text }]} numberOfLines={1}>{displayNameOf(profile, item.email)}</Text>
+          {!!details && (
+            <Text style={[styles.subtext, { color: theme.textSecondary }]} numberOfLines={1}>{details}</Text>
+          )}
+        </View>
+        {section.key === 'incoming' ? (
+          <>
+            <Pressable style={[styles.smallButton, { backgroundColor: theme.primary }]} onPress={() => respond(item, true)}>
+              <Text style={[styles.smallButtonText, { color: theme.textLight }]}>Accept</Text>
+            </Pressable>
+            <Pressable style={[styles.smallButton, { backgroundColor: theme.border }]} onPress={() => respond(item, false)}>
+              <Text style={[styles.smallButtonText, { color: theme.text }]}>Decline</Text>
+            </Pressable>
+          </>
+        ) : (
+          <Pressable style={[styles.smallButton, { backgroundColor: theme.border }]} onPress={() => respond(item, false)}>
+            <Text style={[styles.smallButtonText, { color: theme.text }]}>Cancel</Text>
+          </Pressable>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <SectionList
+      style={{ backgroundColor: theme.background }}
+      contentContainerStyle={styles.listContent}
+      sections={sections}
+      keyExtractor={(item) => item.email}
+      keyboardShouldPersistTaps="handled"
+      stickySectionHeadersEnabled={false}
+      // Form for sending a new request
+      ListHeaderComponent={
+        <View style={styles.form}>
+          <Text style={[styles.formTitle, { color: theme.text }]}>Add a buddy</Text>
+          <View style={styles.formRow}>
+            <TextInput
+              style={[styles.input, { backgroundColor: theme.cardBackground, color: theme.text, borderColor: theme.border }]}
+              placeholder="Email or @handle"
+              placeholderTextColor={theme.textSecondary}
+              value={input}
+              onChangeText={setInput}
+              onSubmitEditing={handleSend}
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="email-address"
+              returnKeyType="send"
+            />
+            <Pressable
+              style={[styles.sendButton, { backgroundColor: theme.primary, opacity: isSending || !input.trim() ? 0.6 : 1 }]}
+              onPress={handleSend}
+              disabled={isSending || !input.trim()}
+            >
+              {isSending ? (
+                <ActivityIndicator color={theme.textLight} />
+              ) : (
+                <Text style={[styles.sendButtonText, { color: theme.textLight }]}>Send</Text>
+              )}
+            </Pressable>
+          </View>
+        </View>
+      }
+      renderSectionHeader={({ section }) => (
+        <Text style={[styles.sectionTitle, { color: theme.primary }]}>{section.title}</Text>
+      )}
+      renderItem={renderRequest}
+      ListEmptyComponent={
+        <View style={styles.emptyState}>
+          <MaterialCommunityIcons name="account-clock-outline" size={48} color={theme.textSecondary} />
+          <Text style={[styles.emptyText, { color: theme.textSecondary }]}>No pending buddy requests</Text>
+        </View>
+      }
+    />
+  );
+};
+
+const styles = StyleSheet.create({
+  listContent: {
+    padding: 16,
+    flexGrow: 1,
+  },
+  form: {
+    marginBottom: 8,
+  },
+  formTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  formRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    fontSize: 16,
+  },
+  sendButton: {
+    marginLeft: 8,
+    paddingHorizontal: 18,
+    height: 44,
+    borderRadius: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  sendButtonText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  avatar: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    borderWidth: 2,
+  },
+  details: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  name: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  subtext: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  smallButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 10,
+    marginLeft: 6,
+  },
+  smallButtonText: {
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  emptyState: {
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyText: {
+    fontSize: 15,
+    marginTop: 12,
+    textAlign: 'center',
+  },
+});
+
+export default RequestsScreen;
@@ -0,0 +1,20 @@
+// Navigation access from outside the screens (global listeners, banners, notifications)
+// The ref is attached to the signed-in NavigationContainer in App.js
+import { createNavigationContainerRef } from '@react-navigation/native';
+
+export const navigationRef = createNavigationContainerRef();
+
+// ChatScreen params for a conversation (same params the Buddies list and inbox use)
+export const conversationParams = (conversation, email) => {
+  if (conversation.isGroup) {
+    return { conversationId: conversation.id, isGroup: true };
+  }
+  const buddy = conversation.participants.find((participant) => participant !== email) || email;
+  return { receiver: buddy, receiverName: buddy, isSelfChat: buddy === email };
+};
+
+// Open a conversation on the Chat tab from anywhere in the app
+export const openConversation = (conversation, email) => {
+  if (!navigationRef.isReady()) return;
+  navigationRef.navigate('Main', { screen: 'ChatScreen', params: conversationParams(conversation, email) });
+};
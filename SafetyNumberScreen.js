@@ -0,0 +1,198 @@
+// Safety number screen for an end-to-end encrypted 1:1 conversation
+// Both buddies see the same number; comparing it in person or on a call proves
+// that nobody has swapped a public key. Opened from the encryption banner in ChatScreen
+import React, { useEffect, useState } from 'react';
+// Import React Native components for UI rendering
+import { View, Text, Pressable, ScrollView, StyleSheet, ActivityIndicator } from 'react-native';
+// Import navigation hook for params
+import { useRoute } from '@react-navigation/native';
+// Import icon library for the lock and status icons
+import { MaterialCommunityIcons } from '@expo/vector-icons';
+// Import Firebase auth instance to identify the current user
+import { auth } from './firebase';
+// Import key and safety number helpers
+import { getOwnPublicKey, fetchPublicKey, computeSafetyNumber, getVerifiedKey, setVerifiedKey } from './encryption';
+// Import custom theme hook for dark/light mode support
+import { useTheme } from './ThemeContext';
+
+const SafetyNumberScreen = () => {
+  const { theme } = useTheme();
+  const route = useRoute();
+  const { buddy } = route.params;
+  const me = auth.currentUser.email;
+
+  const [buddyKey, setBuddyKey] = useState(null); // Buddy's current public key
+  const [safetyNumber, setSafetyNumber] = useState(null); // 12 groups of 5 digits
+  const [verifiedKey, setVerifiedKeyState] = useState(null); // Key marked as verified on this device
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Fetch the buddy's current key and compute the number from both keys
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const publicKey = await fetchPublicKey(buddy, { refresh: true });
+        const ownKey = getOwnPublicKey();
+        setBuddyKey(publicKey);
+        setVerifiedKeyState(await getVerifiedKey(me, buddy));
+        if (publicKey && ownKey) {
+          setSafetyNumber(await computeSafetyNumber(me, ownKey, buddy, publicKey));
+        }
+      } catch (error) {
+        console.error('Error computing safety number:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    load();
+  }, [buddy, me]);
+
+  // Mark the buddy's current key as verified, or clear the verification
+  const toggleVerified = async () => {
+    const next = verifiedKey === buddyKey ? null : buddyKey;
+    await setVerifiedKey(me, buddy, next);
+    setVerifiedKeyState(next);
+  };
+
+  if (isLoading) {
+    return (
+      <View style={[styles.centered, { backgroundColor: theme.background }]}>
+        <ActivityIndicator size="large" color={theme.primary} />
+      </View>
+    );
+  }
+
+  if (!safetyNumber) {
+    return (
+      <View style={[styles.centered, { backgroundColor: theme.background }]}>
+        <MaterialCommunityIcons name="lock-open-variant-outline" size={56} color={theme.textSecondary} />
+        <Text style={[styles.explanation, { color: theme.textSecondary }]}>
+          {buddy} has not set up encryption yet. Messages with them are not end-to-end encrypted.
+        </Text>
+      </View>
+    );
+  }
+
+  const isVerified = verifiedKey === buddyKey;
+  const keyChanged = Boolean(verifiedKey) && !isVerified;
+
+  return (
+    <ScrollView style={{ backgroundColor: theme.background }} contentContainerStyle={styles.container}>
+      <View style={[styles.lockCircle, { backgroundColor: theme.primaryLight }]}>
+        <MaterialCommunityIcons name="lock" size={40} color={theme.primary} />
+      </View>
+      <Text style={[styles.title, { color: theme.text }]}>Verify {buddy}</Text>
+      <Text style={[styles.explanation, { color: theme.textSecondary }]}>
+        Compare this number with the one on {buddy}'s phone. If they match, your messages can only be read by the two of you.
+      </Text>
+
+      {/* Safety number: 3 rows of 4 groups */}
+      <View style={[styles.numberCard, { backgroundColor: theme.cardBackground, borderColor: theme.border }]}>
+        {[0, 1, 2].map((row) => (
+          <View key={row} style={styles.numberRow}>
+            {safetyNumber.slice(row * 4, row * 4 + 4).map((group, index) => (
+              <Text key={index} style={[styles.numberGroup, { color: theme.text }]}>{group}</Text>
+            ))}
+          </View>
+        ))}
+      </View>
+
+      {/* Verification status on this device */}
+      <View style={styles.statusRow}>
+        <MaterialCommunityIcons
+          name={isVerified ? 'check-decagram' : keyChanged ? 'alert' : 'shield-outline'}
+          size={20}
+          color={isVerified ? theme.primary : keyChanged ? '#EF4444' : theme.textSecondary}
+        />
+        <Text style={[styles.statusText, { color: keyChanged ? '#EF4444' : theme.textSecondary }]}>
+          {isVerified
+            ? 'Verified'
+            : keyChanged
+              ? `${buddy}'s security key changed since you verified it`
+              : 'Not verified yet'}
+        </Text>
+      </View>
+
+      <Pressable
+        style={[styles.button, { backgroundColor: isVerified ? theme.border : theme.primary }]}
+        onPress={toggleVerified}
+      >
+        <Text style={[styles.buttonText, { color: isVerified ? theme.text : theme.textLight }]}>
+          {isVerified ? 'Clear Verification' : 'Mark as Verified'}
+        </Text>
+      </Pressable>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 24,
+    alignItems: 'center',
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  lockCircle: {
+    width: 80,
+    height: 80,
+    borderRadius: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  explanation: {
+    fontSize: 14,
+    lineHeight: 20,
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  numberCard: {
+    width: '100%',
+    borderRadius: 16,
+    borderWidth: 1,
+    paddingVertical: 16,
+    marginTop: 24,
+  },
+  numberRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-evenly',
+    marginVertical: 6,
+  },
+  numberGroup: {
+    fontSize: 20,
+    fontFamily: 'monospace',
+    letterSpacing: 1,
+  },
+  statusRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  statusText: {
+    fontSize: 14,
+    marginLeft: 6,
+    flexShrink: 1,
+  },
+  button: {
+    width: '100%',
+    paddingVertical: 14,
+    borderRadius: 14,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  buttonText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default SafetyNumberScreen;
@@ -0,0 +1,255 @@
+// Message search across all of the user's conversations
+// Searches the local index (searchIndex.js) and refreshes it from Firestore whenever the tab is opened
+import React, { useCallback, useEffect, useState } from 'react';
+// Import React Native components for UI rendering
+import { View, Text, TextInput, Pressable, SectionList, StyleSheet, ActivityIndicator } from 'react-native';
+// Import navigation hooks for opening chats and refreshing on focus
+import { useNavigation, useFocusEffect } from '@react-navigation/native';
+// Import icon library for the search field and empty states
+import { Ionicons } from '@expo/vector-icons';
+// Import Firebase auth instance to identify the current user
+import { auth } from './firebase';
+// Import local search index helpers
+import { syncSearchIndex, searchMessages, buildSnippet, toSearchTerms } from './searchIndex';
+// Import profile helpers for buddy names in the result headers
+import { displayNameOf } from './profiles';
+// Import profile listener hook for the buddies in the results
+import useProfiles from './useProfiles';
+// Import key pair listener, as the index only syncs once encrypted messages can be read
+import { subscribeKeyPair } from './encryption';
+// Import custom theme hook for dark/light mode support
+import { useTheme } from './ThemeContext';
+
+// Date and time of a search hit (e.g., 05/11 14:30)
+const formatHitTime = (millis) => {
+  const date = new Date(millis);
+  const day = date.toLocaleDateString('en-GB', { day: '2-digit', month: '2-digit' });
+  const time = date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', hour12: false });
+  return `${day} ${time}`;
+};
+
+const SearchScreen = () => {
+  const { theme } = useTheme();
+  const navigation = useNavigation();
+  const email = auth.currentUser?.email;
+  const [queryText, setQueryText] = useState(''); // Text typed in the search field
+  const [sections, setSections] = useState([]); // Results grouped by conversation
+  const [isSyncing, setIsSyncing] = useState(false); // Index refresh in progress
+  const [indexVersion, setIndexVersion] = useState(0); // Bumped after each sync to re-run the search
+  const [keysVersion, setKeysVersion] = useState(0); // Bumped when the key pair loads, to sync again
+
+  // Keep buddy names up to date for the result headers
+  const profiles = useProfiles(sections.map((section) => section.buddy));
+
+  // syncSearchIndex waits for the key pair, which may still be loading right after sign-in
+  useEffect(() => subscribeKeyPair(() => setKeysVersion((version) => version + 1)), []);
+
+  // Refresh the index from Firestore each time the tab is opened (and once the key pair is loaded)
+  // Search keeps working from the cached index while offline or while the sync runs
+  useFocusEffect(
+    useCallback(() => {
+      if (!email) return;
+      let active = true;
+      setIsSyncing(true);
+      syncSearchIndex(email)
+        .then(() => active && setIndexVersion((version) => version + 1))
+        .catch((error) => console.error('Error syncing search index:', error))
+        .finally(() => active && setIsSyncing(false));
+      return () => {
+        active = false;
+      };
+    }, [email, keysVersion])
+  );
+
+  // Search the local index as the user types
+  useEffect(() => {
+    if (!email) return;
+    let active = true;
+    searchMessages(email, queryText)
+      .then((results) => active && setSections(results))
+      .catch((error) => console.error('Error searching messages:', error));
+    return () => {
+      active = false;
+    };
+  }, [email, queryText, indexVersion]);
+
+  // Open the conversation of a hit, scrolled to the message
+  const openHit = (section, message) => {
+    if (section.isGroup) {
+      navigation.navigate('ChatScreen', {
+        conversationId: section.conversationId,
+        isGroup: true,
+        scrollToMessageId: message._id,
+      });
+    } else {
+      navigation.navigate('ChatScreen', {
+        receiver: section.buddy,
+        receiverName: section.buddy,
+        isSelfChat: section.buddy === email,
+        scrollToMessageId: message._id,
+      });
+    }
+  };
+
+  const terms = toSearchTerms(queryText);
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      {/* Header with the search field */}
+      <View style={[styles.headerContainer, { backgroundColor: theme.primary, shadowColor: theme.primary }]}>
+        <Text style={[styles.headerText, { color: theme.isDark ? '#FED7AA' : '#FFF7ED' }]}>Search messages</Text>
+        <View style={[styles.searchField, { backgroundColor: theme.cardBackground }]}>
+          <Ionicons name="search" size={18} color={theme.textSecondary} />
+          <TextInput
+            style={[styles.searchInput, { color: theme.text }]}
+            placeholder="Search all conversations"
+            placeholderTextColor={theme.textSecondary}
+            value={queryText}
+            onChangeText={setQueryText}
+            autoCapitalize="none"
+            autoCorrect={false}
+            returnKeyType="search"
+          />
+          {isSyncing && <ActivityIndicator size="small" color={theme.primary} />}
+          {!isSyncing && queryText.length > 0 && (
+            <Pressable onPress={() => setQueryText('')} hitSlop={8}>
+              <Ionicons name="close-circle" size={18} color={theme.textSecondary} />
+            </Pressable>
+          )}
+        </View>
+      </View>
+
+      <SectionList
+        sections={sections}
+        keyExtractor={(item) => `${item.conversationId}/${item._id}`}
+        keyboardShouldPersistTaps="handled"
+        contentContainerStyle={styles.listContent}
+        stickySectionHeadersEnabled={false}
+        // Conversation header: group name, buddy name or notes to self
+        renderSectionHeader={({ section }) => (
+          <View style={styles.sectionHeader}>
+            <Ionicons
+              name={section.isGroup ? 'people' : 'person'}
+              size={14}
+              color={theme.primary}
+            />
+            <Text style={[styles.sectionTitle, { color: theme.primary }]} numberOfLines={1}>
+              {section.isGroup || section.buddy === email ? section.title : displayNameOf(profiles[section.buddy], section.buddy)}
+            </Text>
+          </View>
+        )}
+        // Hit: snippet with the matched terms highlighted, plus when it was sent
+        renderItem={({ item, section }) => (
+          <Pressable
+            onPress={() => openHit(section, item)}
+            style={[styles.hit, { backgroundColor: theme.cardBackground, borderColor: theme.border }]}
+            android_ripple={{ color: theme.primary + '30' }}
+          >
+            <Text style={[styles.snippet, { color: theme.text }]} numberOfLines={2}>
+              {buildSnippet(item.text, terms).map((segment, index) => (
+                <Text
+                  key={index}
+                  style={segment.match ? [styles.match, { backgroundColor: theme.primaryLight, color: theme.primary }] : null}
+                >
+                  {segment.text}
+                </Text>
+              ))}
+            </Text>
+            <Text style={[styles.hitMeta, { color: theme.textSecondary }]}>
+              {item.senderId === email ? 'You' : item.senderId} · {formatHitTime(item.createdAt)}
+            </Text>
+          </Pressable>
+        )}
+        // Hint before typing, "no results" after
+        ListEmptyComponent={
+          <View style={styles.emptyState}>
+            <Ionicons name={terms.length ? 'sad-outline' : 'search-outline'} size={48} color={theme.textSecondary} />
+            <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+              {terms.length ? 'No messages found' : 'Find any message you have sent or received'}
+            </Text>
+          </View>
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  headerContainer: {
+    paddingVertical: 20,
+    paddingHorizontal: 20,
+    borderBottomLeftRadius: 24,
+    borderBottomRightRadius: 24,
+    elevation: 8,
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.3,
+    shadowRadius: 8,
+  },
+  headerText: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 10,
+    letterSpacing: 0.5,
+  },
+  searchField: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    height: 44,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 15,
+    marginHorizontal: 8,
+  },
+  listContent: {
+    padding: 16,
+    flexGrow: 1,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    marginLeft: 6,
+    flex: 1,
+  },
+  hit: {
+    borderRadius: 16,
+    borderWidth: 1,
+    padding: 12,
+    marginBottom: 8,
+  },
+  snippet: {
+    fontSize: 15,
+    lineHeight: 20,
+  },
+  match: {
+    fontWeight: 'bold',
+  },
+  hitMeta: {
+    fontSize: 12,
+    marginTop: 6,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyText: {
+    fontSize: 15,
+    marginTop: 12,
+    textAlign: 'center',
+  },
+});
+
+export default SearchScreen;
@@ -2,28 +2,45 @@
 // Integrates with Firebase Storage for image uploads and Firestore for metadata
 import React, { useState, useEffect } from 'react';
 // Import React Native components for UI rendering
-import { View, Text, Image, StyleSheet, Alert, Pressable, ScrollView } from 'react-native';
+import { View, Text, Image, StyleSheet, Alert, Pressable, ScrollView, Switch, TextInput } from 'react-native';
 // Import Expo ImagePicker for accessing device gallery and camera
 import * as ImagePicker from 'expo-image-picker';
 // Import Firestore functions for database operations
-import { query, where, setDoc, collection, getDocs, addDoc, doc } from 'firebase/firestore';
-// Import Firebase Storage functions for image upload and retrieval
-import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
+import { setDoc } from 'firebase/firestore';
+// Import shared Firebase Storage upload helper
+import { uploadImage } from './uploads';
 // Import Firebase configuration instances
-import { auth, db, storage } from './firebase';
+import { auth } from './firebase';
 // Import Toast for user-friendly notifications
 import Toast from "react-native-toast-message";
 // Import custom theme hook for dark/light mode functionality
 import { useTheme } from './ThemeContext';
 // Import icon library for theme toggle button
 import { MaterialCommunityIcons } from '@expo/vector-icons';
+// Import preferences hook for privacy and notification settings
+import { usePreferences } from './PreferencesContext';
+// Import inbox listener for the per-conversation mute list
+import { subscribeInbox } from './conversations';
+// Import notification permission request
+import { requestNotificationPermission } from './notifications';
+// Import profile helpers for saving the avatar and the profile details
+import { findProfile, updateProfile, saveProfileDetails, normalizeHandle, displayNameOf, HANDLE_PATTERN, PROFILE_LIMITS } from './profiles';
+// Import auto-logout choices
+import { AUTO_LOGOUT_OPTIONS } from './useInactivityLogout';
+// Import profile listener hook for the buddies in the mute list
+import useProfiles from './useProfiles';
 
 const SettingsScreen = () => {
   const { theme, isDark, toggleTheme } = useTheme(); // Access theme state and toggle function
+  const { preferences, updatePreference } = usePreferences(); // Access privacy and notification preferences
   const [avatar, setAvatar] = useState(null); // Store current avatar URL
   const [userEmail, setUserEmail] = useState(''); // Store logged-in user's email
   const [imageUrl, setImageUrl] = useState(''); // Store temporary image URL during upload
   const [docRef, setDocRef] = useState(null); // Store Firestore document reference for updates
+  const [conversations, setConversations] = useState([]); // Conversations that can be muted
+  // Editable profile details shown to buddies instead of the email address
+  const [profile, setProfile] = useState({ displayName: '', handle: '', status: '', bio: '', showEmail: false });
+  const [isSavingProfile, setIsSavingProfile] = useState(false);
 
   // Fetch current authenticated user's email on component mount
   // This identifies which user's avatar to display and modify
@@ -41,23 +58,23 @@ const SettingsScreen = () => {
   // Checks if user has previously uploaded a profile picture
   const fetchAvatar = async () => {
     try {
-      // Query Firestore "avatars" collection for current user's document
-      const q = query(collection(db, "avatars"), where("email", "==", auth.currentUser.email));
-      const querySnapshot = await getDocs(q);
-
-      // Process results if user document exists
-      if (!querySnapshot.empty) {
-        querySnapshot.forEach((docItem) => {
-          // Store document reference for future update operations
-          // This allows us to use setDoc() instead of addDoc() to avoid duplicates
-          const avatarDocRef = doc(db, "avatars", docItem.id);
-          setDocRef(avatarDocRef);
-          
-          // Set avatar state if user has uploaded one previously
-          if(docItem.data().avatar) {
-            setAvatar(docItem.data().avatar);
-          }
-        });
+      // Fetch the current user's profile document
+      const profileDoc = await findProfile(auth.currentUser.email);
+
+      // Process the profile if the user has one
+      if (profileDoc) {
+        // Store document reference for future update operations
+        // This allows us to use setDoc() instead of addDoc() to avoid duplicates
+        setDocRef(profileDoc.ref);
+
+        // Set avatar state if user has uploaded one previously
+        if(profileDoc.data().avatar) {
+          setAvatar(profileDoc.data().avatar);
+        }
+
+        // Fill the profile form with the saved details
+        const { displayName = '', handle = '', status = '', bio = '', showEmail = false } = profileDoc.data();
+        setProfile({ displayName, handle, status, bio, showEmail });
       } else {
         console.log("No such document!");
       }
@@ -66,34 +83,100 @@ const SettingsScreen = () => {
     }
   };
 
+  // Keep the mute list in step with the user's conversations
+  // Personal notes are left out: your own messages never notify
+  useEffect(() => {
+    const email = auth.currentUser?.email;
+    if (!email) return;
+    return subscribeInbox(email, (items) => {
+      setConversations(items.filter((item) => item.isGroup || item.participants.some((participant) => participant !== email)));
+    });
+  }, []);
+
+  // Names of the buddies in the mute list
+  const profiles = useProfiles(conversations
+    .filter((conversation) => !conversation.isGroup)
+    .flatMap((conversation) => conversation.participants));
+
+  // Turn system notifications on (after asking for permission) or off
+  const toggleNotifications = async (enabled) => {
+    if (enabled && !(await requestNotificationPermission())) {
+      Alert.alert('Notifications blocked', 'Allow notifications for this app in your device settings to turn them on.');
+      return;
+    }
+    updatePreference('notificationsEnabled', enabled);
+  };
+
+  // Mute or unmute a single conversation
+  const toggleMute = (conversationId, muted) => {
+    updatePreference('mutedConversations', (current) =>
+      muted ? [...current, conversationId] : current.filter((id) => id !== conversationId)
+    );
+  };
+
+  // Update one field of the profile form
+  const updateProfileField = (field, value) => {
+    setProfile((current) => ({ ...current, [field]: value }));
+  };
+
+  // Save display name, status, bio and email visibility to the user's profile
+  // The handle lets others send buddy requests without knowing the email; it must be unique,
+  // which saveProfileDetails checks and reserves in one transaction
+  const saveProfile = async () => {
+    const handle = normalizeHandle(profile.handle);
+    if (handle && !HANDLE_PATTERN.test(handle)) {
+      Toast.show({
+        type: "error",
+        text1: "Invalid Handle",
+        text2: "Use 3-20 letters, digits, dots or underscores.",
+        position: "top"
+      });
+      return;
+    }
+
+    setIsSavingProfile(true);
+    try {
+      await saveProfileDetails(userEmail, {
+        displayName: profile.displayName.trim(),
+        handle,
+        status: profile.status.trim(),
+        bio: profile.bio.trim(),
+        showEmail: profile.showEmail,
+      });
+      Toast.show({
+        type: "success",
+        text1: "Profile Saved",
+        text2: "Buddies will see your new details ✨",
+        position: "top"
+      });
+    } catch (error) {
+      if (error.code === 'profiles/handle-taken') {
+        Toast.show({
+          type: "error",
+          text1: "Handle Taken",
+          text2: error.message,
+          position: "top"
+        });
+        return;
+      }
+      console.error("Error saving profile:", error);
+      Toast.show({
+        type: "error",
+        text1: "Save Failed",
+        text2: "Failed to save your profile. Please try again.",
+        position: "top"
+      });
+    } finally {
+      setIsSavingProfile(false);
+    }
+  };
+
   // Run fetchAvatar once when component mounts
   // This loads the existing avatar when screen opens
   useEffect(() => {  
     fetchAvatar();
   }, []);
 
-  // Upload selected image to Firebase Storage
-  // Returns the publicly accessible download URL for storing in Firestore
-  const uploadImage = async (uri) => {
-    // Convert image URI to Blob format required by Firebase Storage
-    const response = await fetch(uri);
-    const blob = await response.blob();
-    
-    console.log(ref);
-    
-    // Create unique storage path using timestamp to avoid filename conflicts
-    // Images stored in "profile_pics" directory with .jpg extension
-    const storageRef = ref(storage, `profile_pics/${new Date().getTime()}.jpg`);
-
-    // Upload the blob to Firebase Storage
-    await uploadBytes(storageRef, blob);
-    
-    // Get the publicly accessible URL of the uploaded image
-    // This URL will be stored in Firestore and used to display avatar
-    const url = await getDownloadURL(storageRef);
-    return url; // Return URL for Firestore storage
-  };
-
   // Launch device gallery to select a new profile picture
   // Handles permission requests, image selection, and upload process
   const pickImage = async () => {
@@ -125,8 +208,8 @@ const SettingsScreen = () => {
       
       // Process the selected image if user didn't cancel
       if (!result.canceled) {
-        // Upload image to Firebase Storage and get download URL
-        const url = await uploadImage(result.assets[0].uri);
+        // Upload image to Firebase Storage ("profile_pics" directory) and get download URL
+        const url = await uploadImage(result.assets[0].uri, 'profile_pics');
         setImageUrl(url); // Store temporary URL
         setAvatar(url); // Update avatar state for immediate UI feedback
         
@@ -135,10 +218,8 @@ const SettingsScreen = () => {
         if (!docRef) {
           // First-time upload: Create new Firestore document
           // This happens when user hasn't uploaded an avatar before
-          await addDoc(collection(db, "avatars"), {
-            email: userEmail,
-            avatar: url
-          });
+          // (the profile may already exist since the encryption key was published, so merge into it)
+          await updateProfile(userEmail, { avatar: url });
           Toast.show({
             type: "success",
             text1: "Avatar Uploaded",
@@ -147,11 +228,11 @@ const SettingsScreen = () => {
           });
         } else {
           // Subsequent uploads: Update existing Firestore document
-          // Prevents duplicate documents for the same user
+          // Prevents duplicate documents for the same user; merge keeps other profile fields such as the public key
           await setDoc(docRef, { 
             email: userEmail, 
             avatar: url 
-          });
+          }, { merge: true });
           Toast.show({
             type: "success",
             text1: "Avatar Updated",
@@ -181,7 +262,7 @@ const SettingsScreen = () => {
         <View style={[styles.headerBackground, { backgroundColor: theme.primary }]} />
         <View style={styles.headerContent}>
           <Text style={[styles.headerTitle, { color: theme.textLight }]}>Profile Settings</Text>
-          <Text style={[styles.headerSubtitle, { color: theme.isDark ? '#FED7AA' : '#FFF7ED' }]}>Customize your profile picture</Text>
+          <Text style={[styles.headerSubtitle, { color: theme.isDark ? '#FED7AA' : '#FFF7ED' }]}>Customize your profile</Text>
         </View>
       </View>
 
@@ -224,6 +305,81 @@ const SettingsScreen = () => {
           </View>
         </View>
 
+        {/* Profile details: what buddies see instead of the email address */}
+        <View style={[styles.infoCard, styles.profileCard, { backgroundColor: theme.cardBackground, borderColor: theme.border }]}>
+          <Text style={[styles.profileLabel, { color: theme.textSecondary }]}>Display Name</Text>
+          <TextInput
+            style={[styles.profileInput, { color: theme.text, borderColor: theme.border, backgroundColor: theme.background }]}
+            value={profile.displayName}
+            onChangeText={(value) => updateProfileField('displayName', value)}
+            placeholder={userEmail.split('@')[0]}
+            placeholderTextColor={theme.textSecondary}
+            maxLength={PROFILE_LIMITS.displayName}
+          />
+
+          <Text style={[styles.profileLabel, { color: theme.textSecondary }]}>Handle</Text>
+          <TextInput
+            style={[styles.profileInput, { color: theme.text, borderColor: theme.border, backgroundColor: theme.background }]}
+            value={profile.handle ? `@${profile.handle}` : ''}
+            onChangeText={(value) => updateProfileField('handle', value.replace(/^@/, '').toLowerCase())}
+            placeholder="@handle (for buddy requests)"
+            placeholderTextColor={theme.textSecondary}
+            autoCapitalize="none"
+            autoCorrect={false}
+            maxLength={21}
+          />
+
+          <Text style={[styles.profileLabel, { color: theme.textSecondary }]}>Status</Text>
+          <TextInput
+            style={[styles.profileInput, { color: theme.text, borderColor: theme.border, backgroundColor: theme.background }]}
+            value={profile.status}
+            onChangeText={(value) => updateProfileField('status', value)}
+            placeholder="e.g. At the gym 🏋️"
+            placeholderTextColor={theme.textSecondary}
+            maxLength={PROFILE_LIMITS.status}
+          />
+
+          <Text style={[styles.profileLabel, { color: theme.textSecondary }]}>Bio</Text>
+          <TextInput
+            style={[styles.profileInput, styles.bioInput, { color: theme.text, borderColor: theme.border, backgroundColor: theme.background }]}
+            value={profile.bio}
+            onChangeText={(value) => updateProfileField('bio', value)}
+            placeholder="A few words about you"
+            placeholderTextColor={theme.textSecondary}
+            maxLength={PROFILE_LIMITS.bio}
+            multiline
+          />
+          <Text style={[styles.profileCounter, { color: theme.textSecondary }]}>
+            {profile.bio.length}/{PROFILE_LIMITS.bio}
+          </Text>
+
+          {/* Email stays hidden from buddies unless this is on */}
+          <View style={styles.profileSwitchRow}>
+            <View style={styles.themeTextContainer}>
+              <Text style={[styles.themeTitle, { color: theme.text }]}>Show Email Address</Text>
+              <Text style={[styles.themeSubtitle, { color: theme.textSecondary }]}>
+                Let buddies see {userEmail} on your profile
+              </Text>
+            </View>
+            <Switch
+              value={profile.showEmail}
+              onValueChange={(value) => updateProfileField('showEmail', value)}
+              trackColor={{ false: theme.border, true: theme.primary }}
+              thumbColor={theme.textLight}
+            />
+          </View>
+
+          <Pressable
+            style={[styles.profileSaveButton, { backgroundColor: theme.primary, opacity: isSavingProfile ? 0.6 : 1 }]}
+            onPress={saveProfile}
+            disabled={isSavingProfile}
+          >
+            <Text style={[styles.profileSaveText, { color: theme.textLight }]}>
+              {isSavingProfile ? 'Saving…' : 'Save Profile'}
+            </Text>
+          </Pressable>
+        </View>
+
         {/* Dark/Light mode toggle button */}
         {/* Shows sun icon in dark mode, moon icon in light mode */}
         <Pressable 
@@ -250,6 +406,123 @@ const SettingsScreen = () => {
           <MaterialCommunityIcons name="chevron-right" size={24} color={theme.textSecondary} />
         </Pressable>
 
+        {/* Privacy: read receipts toggle */}
+        {/* When off, buddies still see delivered ticks but never the read ticks */}
+        <View style={[styles.settingRow, { backgroundColor: theme.cardBackground, borderColor: theme.border }]}>
+          <View style={[styles.themeIconContainer, { backgroundColor: theme.primaryLight }]}>
+            <MaterialCommunityIcons name="check-all" size={24} color={theme.primary} />
+          </View>
+          <View style={styles.themeTextContainer}>
+            <Text style={[styles.themeTitle, { color: theme.text }]}>Read Receipts</Text>
+            <Text style={[styles.themeSubtitle, { color: theme.textSecondary }]}>
+              Let buddies see when you've read their messages
+            </Text>
+          </View>
+          <Switch
+            value={preferences.readReceipts}
+            onValueChange={(value) => updatePreference('readReceipts', value)}
+            trackColor={{ false: theme.border, true: theme.primary }}
+            thumbColor={theme.textLight}
+          />
+        </View>
+
+        {/* Notifications: system notifications for messages received while the app is in the background */}
+        <View style={[styles.settingRow, { backgroundColor: theme.cardBackground, borderColor: theme.border }]}>
+          <View style={[styles.themeIconContainer, { backgroundColor: theme.primaryLight }]}>
+            <MaterialCommunityIcons name="bell-outline" size={24} color={theme.primary} />
+          </View>
+          <View style={styles.themeTextContainer}>
+            <Text style={[styles.themeTitle, { color: theme.text }]}>Notifications</Text>
+            <Text style={[styles.themeSubtitle, { color: theme.textSecondary }]}>
+              Notify me of new messages while the app is in the background
+            </Text>
+          </View>
+          <Switch
+            value={preferences.notificationsEnabled}
+            onValueChange={toggleNotifications}
+            trackColor={{ false: theme.border, true: theme.primary }}
+            thumbColor={theme.textLight}
+          />
+        </View>
+
+        {/* Message previews: show the message text in notifications */}
+        <View style={[styles.settingRow, { backgroundColor: theme.cardBackground, borderColor: theme.border }]}>
+          <View style={[styles.themeIconContainer, { backgroundColor: theme.primaryLight }]}>
+            <MaterialCommunityIcons name="message-text-outline" size={24} color={theme.primary} />
+          </View>
+          <View style={styles.themeTextContainer}>
+            <Text style={[styles.themeTitle, { color: theme.text }]}>Message Previews</Text>
+            <Text style={[styles.themeSubtitle, { color: theme.textSecondary }]}>
+              Show message text in notifications
+            </Text>
+          </View>
+          <Switch
+            value={preferences.notificationPreviews}
+            onValueChange={(value) => updatePreference('notificationPreviews', value)}
+            disabled={!preferences.notificationsEnabled}
+            trackColor={{ false: theme.border, true: theme.primary }}
+            thumbColor={theme.textLight}
+          />
+        </View>
+
+        {/* Security: sign out automatically after a period without activity */}
+        <View style={[styles.muteCard, { backgroundColor: theme.cardBackground, borderColor: theme.border }]}>
+          <Text style={[styles.themeTitle, { color: theme.text }]}>Auto Logout</Text>
+          <Text style={[styles.themeSubtitle, { color: theme.textSecondary, marginBottom: 8 }]}>
+            Sign out after a period of inactivity
+          </Text>
+          <View style={styles.optionRow}>
+            {AUTO_LOGOUT_OPTIONS.map((option) => {
+              const isSelected = preferences.autoLogoutMinutes === option.minutes;
+              return (
+                <Pressable
+                  key={option.minutes}
+                  style={[
+                    styles.optionChip,
+                    { borderColor: isSelected ? theme.primary : theme.border },
+                    isSelected && { backgroundColor: theme.primary },
+                  ]}
+                  onPress={() => updatePreference('autoLogoutMinutes', option.minutes)}
+                >
+                  <Text style={[styles.optionChipText, { color: isSelected ? theme.textLight : theme.text }]}>
+                    {option.label}
+                  </Text>
+                </Pressable>
+              );
+            })}
+          </View>
+        </View>
+
+        {/* Per-conversation mute: no notifications or in-app banners from muted conversations */}
+        {conversations.length > 0 && (
+          <View style={[styles.muteCard, { backgroundColor: theme.cardBackground, borderColor: theme.border }]}>
+            <Text style={[styles.themeTitle, { color: theme.text }]}>Muted Conversations</Text>
+            <Text style={[styles.themeSubtitle, { color: theme.textSecondary, marginBottom: 8 }]}>
+              Muted conversations never notify you
+            </Text>
+            {conversations.map((conversation) => {
+              const buddy = conversation.participants.find((participant) => participant !== userEmail);
+              const title = conversation.isGroup ? conversation.name : displayNameOf(profiles[buddy], buddy);
+              return (
+                <View key={conversation.id} style={[styles.muteRow, { borderTopColor: theme.border }]}>
+                  <MaterialCommunityIcons
+                    name={conversation.isGroup ? 'account-group' : 'account'}
+                    size={20}
+                    color={theme.textSecondary}
+                  />
+                  <Text style={[styles.muteTitle, { color: theme.text }]} numberOfLines={1}>{title}</Text>
+                  <Switch
+                    value={preferences.mutedConversations.includes(conversation.id)}
+                    onValueChange={(muted) => toggleMute(conversation.id, muted)}
+                    trackColor={{ false: theme.border, true: theme.primary }}
+                    thumbColor={theme.textLight}
+                  />
+                </View>
+              );
+            })}
+          </View>
+        )}
+
         {/* Action Button */}
         <Pressable 
           style={[styles.button, { backgroundColor: theme.primary, shadowColor: theme.primary }]} 
@@ -444,6 +717,19 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.05,
     shadowRadius: 4,
   },
+  settingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+    borderRadius: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 4,
+  },
   themeIconContainer: {
     width: 48,
     height: 48,
@@ -463,6 +749,79 @@ const styles = StyleSheet.create({
   themeSubtitle: {
     fontSize: 13,
   },
+  profileCard: {
+    marginBottom: 24,
+  },
+  profileLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 6,
+  },
+  profileInput: {
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    marginBottom: 14,
+  },
+  bioInput: {
+    minHeight: 72,
+    textAlignVertical: 'top',
+    marginBottom: 4,
+  },
+  profileCounter: {
+    fontSize: 12,
+    textAlign: 'right',
+    marginBottom: 10,
+  },
+  profileSwitchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  profileSaveButton: {
+    paddingVertical: 12,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  profileSaveText: {
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+  muteCard: {
+    padding: 16,
+    borderRadius: 16,
+    marginBottom: 16,
+    borderWidth: 1,
+  },
+  muteRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderTopWidth: StyleSheet.hairlineWidth,
+  },
+  muteTitle: {
+    flex: 1,
+    fontSize: 15,
+    marginLeft: 10,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  optionChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  optionChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
 });
 
 export default SettingsScreen;
@@ -2,44 +2,61 @@
 // Handles user registration with email/password through Firebase Authentication
 import React, { useState } from 'react';
 // Import React Native components for UI
-import { View, TextInput, Image, Pressable, Text, StyleSheet, ScrollView, KeyboardAvoidingView, Platform } from 'react-native';
-// Import Firebase authentication function for creating new users
-import { createUserWithEmailAndPassword } from 'firebase/auth';
+import { View, TextInput, Image, Pressable, Text, StyleSheet, ScrollView, KeyboardAvoidingView, Platform, Alert, ActivityIndicator } from 'react-native';
+// Import Firebase authentication functions for creating new users and verifying their email
+import { createUserWithEmailAndPassword, sendEmailVerification } from 'firebase/auth';
 // Import navigation hook for screen transitions
 import { useNavigation } from '@react-navigation/native';
 // Import Firebase auth instance
 import { auth } from './firebase';
+// Import key pair setup for end-to-end encrypted chats
+import { loadKeyPair } from './encryption';
+// Import shared form validation, password strength and auth error messages
+import { validateSignUp, passwordStrength, describeAuthError, PASSWORD_RULES } from './authValidation';
 
 const SignUpScreen = () => {
   // State for storing user registration input
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
+  const [errors, setErrors] = useState({}); // Inline error message per field
+  const [isSubmitting, setIsSubmitting] = useState(false);
   const navigation = useNavigation();
+  const strength = passwordStrength(password);
+
+  // Update a field and clear its error, so messages disappear as the user fixes them
+  const changeField = (setter, field) => (value) => {
+    setter(value);
+    if (errors[field]) setErrors((current) => ({ ...current, [field]: undefined }));
+  };
 
   // Handle sign up button press
-  // Creates new user account in Firebase Authentication
+  // Creates new user account in Firebase Authentication once the form is valid
   const handleSignUp = async () => {
-    // Validate that passwords match
-    if (email && password && confirmPassword && password !== confirmPassword) {
-      alert("Please provide all required details for SignUp");
-      return;
-    }
+    const formErrors = validateSignUp({ email, password, confirmPassword });
+    setErrors(formErrors);
+    if (Object.keys(formErrors).length > 0) return;
+
+    setIsSubmitting(true);
     try {
       // Create new user with email and password
-      // On success, useAuthentication hook will detect login and show main app
-      await createUserWithEmailAndPassword(auth, email, password);
+      // On success, useAuthentication hook will detect login and show the verify email screen
+      const credential = await createUserWithEmailAndPassword(auth, email.trim(), password);
+      // Send the verification email; if this fails the user can resend it from VerifyEmailScreen
+      sendEmailVerification(credential.user).catch((error) => console.error('Error sending verification email:', error));
+      // Generate the encryption key pair and publish its public half right away
+      loadKeyPair(credential.user.email).catch((error) => console.error('Error creating encryption keys:', error));
+    } catch (error) {
+      // Registration errors (email already in use, weak password...) go under their field, others in an alert
+      console.log(error.code, error.message);
+      const { field, message } = describeAuthError(error, 'Your account could not be created. Please try again.');
+      if (field) {
+        setErrors({ [field]: message });
+      } else {
+        Alert.alert("Sign Up Error", message);
       }
-      catch(error) {
-        // Handle registration errors (email already exists, weak password, etc.)
-        const errorMessage = error.message;
-        if(errorMessage.indexOf("email-already-in-use") != -1) {
-          alert("Email already in use.");
-        } else {
-          alert(errorMessage)
-        }
-        console.log(errorMessage);
-      };
+      setIsSubmitting(false);
+    }
   };
 
   return (
@@ -64,35 +81,62 @@ const SignUpScreen = () => {
 
           {/* Email input field with appropriate keyboard */}
           <TextInput
-            style={styles.input}
+            style={[styles.input, errors.email && styles.inputError]}
             placeholder="Email"
             value={email}
-            onChangeText={setEmail}
+            onChangeText={changeField(setEmail, 'email')}
             keyboardType="email-address" // Shows email-optimized keyboard
             autoCapitalize="none" // Prevents automatic capitalization
           />
+          {errors.email && <Text style={styles.errorText}>{errors.email}</Text>}
 
           {/* Password input field with hidden text */}
           <TextInput
-            style={styles.input}
+            style={[styles.input, errors.password && styles.inputError]}
             placeholder="Password"
             value={password}
-            onChangeText={setPassword}
+            onChangeText={changeField(setPassword, 'password')}
             secureTextEntry // Hides password characters
           />
+          {errors.password && <Text style={styles.errorText}>{errors.password}</Text>}
+
+          {/* Password strength meter and rules, once the user starts typing */}
+          {password.length > 0 && (
+            <View style={styles.strength}>
+              <View style={styles.strengthBar}>
+                {PASSWORD_RULES.map((rule, index) => (
+                  <View
+                    key={rule.key}
+                    style={[styles.strengthSegment, index < strength.score && { backgroundColor: strength.color }]}
+                  />
+                ))}
+              </View>
+              <Text style={[styles.strengthLabel, { color: strength.color }]}>{strength.label}</Text>
+              {PASSWORD_RULES.map((rule) => (
+                <Text key={rule.key} style={styles.ruleText}>
+                  {strength.passed.includes(rule.key) ? '✓' : '○'} {rule.label}{rule.required ? '' : ' (recommended)'}
+                </Text>
+              ))}
+            </View>
+          )}
 
           {/* Confirm password field to prevent typos */}
           <TextInput
-            style={styles.input}
+            style={[styles.input, errors.confirmPassword && styles.inputError]}
             placeholder="Confirm Password"
             value={confirmPassword}
-            onChangeText={setConfirmPassword}
+            onChangeText={changeField(setConfirmPassword, 'confirmPassword')}
             secureTextEntry // Hides password characters
           />
+          {errors.confirmPassword && <Text style={styles.errorText}>{errors.confirmPassword}</Text>}
 
-          {/* Sign up button to submit registration */}
-          <Pressable style={styles.button} onPress={handleSignUp}>
-            <Text style={styles.buttonText}>Sign Up</Text>
+          {/* Sign up button to submit registration, disabled while the account is created */}
+          <Pressable style={[styles.button, isSubmitting && styles.buttonDisabled]} onPress={handleSignUp} disabled={isSubmitting}>
+            {isSubmitting ? (
+              <ActivityIndicator color="white" />
+            ) : (
+              <Text style={styles.buttonText}>Sign Up</Text>
+            )}
           </Pressable>
 
           {/* Link to login screen for existing users */}
@@ -134,6 +178,41 @@ const styles = StyleSheet.create({
     borderRadius: 5,
     width:'80%'
   },
+  inputError: {
+    borderColor: '#DC2626',
+  },
+  errorText: {
+    color: '#B91C1C',
+    fontSize: 13,
+    width: '80%',
+    marginTop: -10,
+    marginBottom: 12,
+  },
+  strength: {
+    width: '80%',
+    marginTop: -5,
+    marginBottom: 15,
+  },
+  strengthBar: {
+    flexDirection: 'row',
+  },
+  strengthSegment: {
+    flex: 1,
+    height: 5,
+    borderRadius: 3,
+    marginRight: 4,
+    backgroundColor: 'rgba(0,0,0,0.15)',
+  },
+  strengthLabel: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    marginTop: 4,
+    marginBottom: 2,
+  },
+  ruleText: {
+    fontSize: 12,
+    color: '#374151',
+  },
   loginLinkContainer: {
     flexDirection: 'row',
     justifyContent: 'center',
@@ -155,6 +234,9 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     alignItems: 'center',
   },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
   buttonText: {
     color: 'white',
     fontSize: 16,
@@ -0,0 +1,77 @@
+// Swipe-to-reply wrapper for chat bubbles
+// Dragging a bubble to the right reveals a reply arrow; releasing past the threshold starts a reply
+import React, { useMemo, useRef } from 'react';
+// Import React Native components, animation and gesture handling
+import { View, Animated, PanResponder, StyleSheet } from 'react-native';
+// Import icon library for the reply arrow
+import { Ionicons } from '@expo/vector-icons';
+
+// Horizontal distance (to the right) after which releasing triggers a reply
+export const REPLY_DISTANCE = 60;
+// How far the bubble can be dragged
+const MAX_DRAG = 90;
+
+// Props:
+// - onReply: called when the bubble is swiped past REPLY_DISTANCE
+// - enabled: false disables the gesture (e.g. deleted or unsent messages)
+// - theme: current theme object
+// - children: the bubble
+export const SwipeToReply = ({ onReply, enabled = true, theme, children }) => {
+  const translateX = useRef(new Animated.Value(0)).current;
+
+  // Keep the latest callback without recreating the pan responder
+  const onReplyRef = useRef(onReply);
+  onReplyRef.current = onReply;
+
+  const reset = () => {
+    Animated.spring(translateX, { toValue: 0, useNativeDriver: true }).start();
+  };
+
+  const panResponder = useMemo(() => PanResponder.create({
+    // Only claim clearly horizontal drags to the right so the list still scrolls vertically
+    onMoveShouldSetPanResponder: (_, gesture) =>
+      gesture.dx > 10 && Math.abs(gesture.dx) > Math.abs(gesture.dy) * 2,
+    onPanResponderMove: (_, gesture) => {
+      translateX.setValue(Math.min(Math.max(gesture.dx, 0), MAX_DRAG));
+    },
+    onPanResponderRelease: (_, gesture) => {
+      if (gesture.dx >= REPLY_DISTANCE) {
+        onReplyRef.current();
+      }
+      reset();
+    },
+    onPanResponderTerminate: reset,
+  }), [translateX]);
+
+  if (!enabled) {
+    return children;
+  }
+
+  // The arrow fades in as the bubble approaches the threshold
+  const iconOpacity = translateX.interpolate({
+    inputRange: [0, REPLY_DISTANCE],
+    outputRange: [0, 1],
+    extrapolate: 'clamp',
+  });
+
+  return (
+    <View>
+      <Animated.View style={[styles.icon, { opacity: iconOpacity }]}>
+        <Ionicons name="arrow-undo" size={20} color={theme.primary} />
+      </Animated.View>
+      <Animated.View {...panResponder.panHandlers} style={{ transform: [{ translateX }] }}>
+        {children}
+      </Animated.View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  icon: {
+    position: 'absolute',
+    left: 8,
+    top: 0,
+    bottom: 0,
+    justifyContent: 'center',
+  },
+});
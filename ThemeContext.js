@@ -21,6 +21,7 @@ export const lightTheme = {
   messageOther: '#ffffff', // White background for received messages
   headerBg: '#F97316', // Orange header background
   badgeBg: '#F97316', // Orange background for "YOU" badge
+  receiptRead: '#1E3A8A', // Deep blue ticks for read messages (visible on orange bubbles)
   isDark: false, // Flag indicating this is light mode
 };
 
@@ -41,6 +42,7 @@ export const darkTheme = {
   messageOther: '#374151', // Dark gray for received messages
   headerBg: '#EA580C', // Dark orange for header
   badgeBg: '#FB923C', // Light orange for badges
+  receiptRead: '#BFDBFE', // Pale blue ticks for read messages on dark orange bubbles
   isDark: true, // Flag indicating this is dark mode
 };
 
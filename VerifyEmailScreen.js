@@ -0,0 +1,231 @@
+// Verify email screen shown to signed-in users whose email address is not verified yet
+// New accounts get a verification email on sign-up, older unverified accounts that missed the exemption
+// (see isLegacyAccount in useAuthentication.js) when they first see this screen;
+// the app stays locked until the link in it is clicked, so mistyped or fake addresses can't message
+// or send buddy requests (also enforced in firestore.rules)
+import React, { useEffect, useState } from 'react';
+// Import React Native components for UI
+import { View, Pressable, Text, StyleSheet, Image, Alert, ActivityIndicator, AppState, ScrollView } from 'react-native';
+// Import Firebase functions for resending the email and switching accounts
+import { sendEmailVerification, signOut } from 'firebase/auth';
+// Import AsyncStorage to remember that the verification email was sent automatically
+import AsyncStorage from '@react-native-async-storage/async-storage';
+// Import Firebase auth instance
+import { auth } from './firebase';
+
+// Seconds before another verification email can be requested
+const RESEND_COOLDOWN = 60;
+
+// Accounts younger than this just got their email from SignUpScreen
+const SIGN_UP_GRACE_MS = 10 * 60 * 1000;
+
+// AsyncStorage key set once the verification email was sent automatically for an account
+const autoSentKey = (email) => `verificationEmailSent:${email}`;
+
+// Props:
+// - onRefresh: re-reads the account (useAuthentication's reload); resolves to true once verified
+const VerifyEmailScreen = ({ onRefresh }) => {
+  const email = auth.currentUser?.email;
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+  const [cooldown, setCooldown] = useState(0); // Seconds left before resending is allowed
+
+  // Count the resend cooldown down to zero
+  useEffect(() => {
+    if (cooldown <= 0) return;
+    const timeout = setTimeout(() => setCooldown(cooldown - 1), 1000);
+    return () => clearTimeout(timeout);
+  }, [cooldown]);
+
+  // Accounts created before verification was required that missed the exemption never got
+  // an email at sign-up: send one automatically, once per device
+  useEffect(() => {
+    const user = auth.currentUser;
+    const createdAt = Date.parse(user?.metadata?.creationTime) || 0;
+    if (!user || Date.now() - createdAt < SIGN_UP_GRACE_MS) return;
+    let active = true;
+    AsyncStorage.getItem(autoSentKey(user.email))
+      .then(async (sent) => {
+        if (sent) return;
+        await sendEmailVerification(user);
+        await AsyncStorage.setItem(autoSentKey(user.email), String(Date.now()));
+        if (active) setCooldown(RESEND_COOLDOWN);
+      })
+      .catch((error) => console.error('Error sending verification email:', error));
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  // Check again when coming back to the app, usually right after clicking the link in the mail app
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        onRefresh().catch((error) => console.log('Error refreshing user: ', error));
+      }
+    });
+    return () => subscription.remove();
+  }, [onRefresh]);
+
+  // "I've verified" button: once verified, App.js swaps this screen for the main app
+  const handleRefresh = async () => {
+    setIsRefreshing(true);
+    try {
+      const verified = await onRefresh();
+      if (!verified) {
+        Alert.alert("Not Verified Yet", "Please click the link in the verification email, then try again.");
+      }
+    } catch (error) {
+      console.log(error.code, error.message);
+      Alert.alert("Refresh Error", "Your account could not be checked. Please try again.");
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  // Send the verification email again
+  const handleResend = async () => {
+    setIsSending(true);
+    try {
+      await sendEmailVerification(auth.currentUser);
+      setCooldown(RESEND_COOLDOWN);
+      Alert.alert("Email Sent", `We sent a new verification link to ${email}.`);
+    } catch (error) {
+      console.log(error.code, error.message);
+      if (error.code === 'auth/too-many-requests') {
+        setCooldown(RESEND_COOLDOWN);
+        Alert.alert("Please Wait", "Too many emails were requested. Please wait a few minutes and try again.");
+      } else {
+        Alert.alert("Resend Error", "The verification email could not be sent. Please try again.");
+      }
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <ScrollView contentContainerStyle={styles.scrollContainer} showsVerticalScrollIndicator={false}>
+      <View style={styles.container}>
+        {/* App logo displayed at the top */}
+        <Image
+          source={require('./assets/logo.png')}
+          style={styles.logo}
+        />
+
+        {/* Screen title */}
+        <Text style={styles.header}>Verify your email</Text>
+
+        <Text style={styles.message}>
+          Please confirm your email address to start chatting. We sent a verification link
+          to <Text style={styles.email}>{email}</Text>: click it, then come back here.
+        </Text>
+
+        {/* Re-check the account once the link was clicked */}
+        <Pressable
+          style={[styles.button, isRefreshing && styles.buttonDisabled]}
+          onPress={handleRefresh}
+          disabled={isRefreshing}
+        >
+          {isRefreshing ? (
+            <ActivityIndicator color="white" />
+          ) : (
+            <Text style={styles.buttonText}>I've Verified My Email</Text>
+          )}
+        </Pressable>
+
+        {/* Resend the email, limited by the cooldown */}
+        <Pressable
+          style={[styles.secondaryButton, (isSending || cooldown > 0) && styles.buttonDisabled]}
+          onPress={handleResend}
+          disabled={isSending || cooldown > 0}
+        >
+          <Text style={styles.secondaryButtonText}>
+            {cooldown > 0 ? `Resend Email (${cooldown}s)` : 'Resend Email'}
+          </Text>
+        </Pressable>
+
+        {/* Wrong address: sign out to sign up again or log in with another account */}
+        <View style={styles.linkContainer}>
+          <Text>Wrong email? </Text>
+          <Pressable onPress={() => signOut(auth).catch(error => console.log('Error logging out: ', error))}>
+            <Text style={styles.link}>Use another account</Text>
+          </Pressable>
+        </View>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: 'center',
+  },
+  container: {
+    flex: 1,
+    padding: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#a1eda4'
+  },
+  header: {
+    fontSize: 24,
+    marginBottom: 20,
+    textAlign: 'center',
+    fontWeight: 'bold',
+  },
+  message: {
+    fontSize: 15,
+    textAlign: 'center',
+    marginBottom: 20,
+    width: '80%',
+  },
+  email: {
+    fontWeight: 'bold',
+  },
+  logo: {
+    width: 180,
+    height: 180,
+    marginBottom: 30,
+  },
+  button: {
+    backgroundColor: 'black',
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: 'black',
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  secondaryButtonText: {
+    color: 'black',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  linkContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: 20,
+  },
+  link: {
+    color: 'blue',
+    fontWeight: 'bold',
+  },
+});
+
+export default VerifyEmailScreen;
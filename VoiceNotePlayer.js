@@ -0,0 +1,155 @@
+// Inline voice note player rendered inside chat bubbles
+// Play/pause button, seek bar (tap to jump) and elapsed/total duration
+import React, { useEffect, useRef, useState } from 'react';
+// Import React Native components for UI rendering
+import { View, Text, Pressable, StyleSheet, ActivityIndicator } from 'react-native';
+// Import expo-av for audio playback
+import { Audio } from 'expo-av';
+// Import icon library for play/pause icons
+import { Ionicons } from '@expo/vector-icons';
+// Import single-playback helpers
+import { playExclusive, releasePlayback, formatDuration } from './voiceNotes';
+
+// Props:
+// - attachment: { url, durationMs }
+// - isOwn: true inside the sender's orange bubble (light foreground colors)
+// - theme: current theme object
+export const VoiceNotePlayer = ({ attachment, isOwn, theme }) => {
+  const soundRef = useRef(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [position, setPosition] = useState(0);
+  const [duration, setDuration] = useState(attachment.durationMs || 0);
+  const [trackWidth, setTrackWidth] = useState(0);
+
+  const foreground = isOwn ? theme.textLight : theme.primary;
+
+  // Unload the sound when the bubble leaves the screen
+  useEffect(() => {
+    return () => {
+      if (soundRef.current) {
+        releasePlayback(soundRef.current);
+        soundRef.current.unloadAsync();
+      }
+    };
+  }, []);
+
+  // Load the sound on first play so scrolling through history doesn't download every note
+  const loadSound = async () => {
+    setIsLoading(true);
+    try {
+      await Audio.setAudioModeAsync({ playsInSilentModeIOS: true });
+      const { sound } = await Audio.Sound.createAsync({ uri: attachment.url }, { progressUpdateIntervalMillis: 200 });
+      sound.setOnPlaybackStatusUpdate((status) => {
+        if (!status.isLoaded) return;
+        setPosition(status.positionMillis);
+        if (status.durationMillis) setDuration(status.durationMillis);
+        setIsPlaying(status.isPlaying);
+        // Rewind when the note finishes so it can be replayed
+        if (status.didJustFinish) {
+          sound.setPositionAsync(0);
+          setIsPlaying(false);
+        }
+      });
+      soundRef.current = sound;
+      return sound;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const togglePlayback = async () => {
+    try {
+      const sound = soundRef.current || await loadSound();
+      if (isPlaying) {
+        await sound.pauseAsync();
+      } else {
+        // Starting this note stops any other note that is playing
+        await playExclusive(sound, () => setIsPlaying(false));
+      }
+    } catch (error) {
+      console.error('Error playing voice note:', error);
+    }
+  };
+
+  // Jump to the tapped position on the seek bar
+  const seek = async (event) => {
+    if (!soundRef.current || !trackWidth || !duration) return;
+    const fraction = Math.min(Math.max(event.nativeEvent.locationX / trackWidth, 0), 1);
+    await soundRef.current.setPositionAsync(Math.round(fraction * duration));
+  };
+
+  const progress = duration ? position / duration : 0;
+
+  return (
+    <View style={styles.container}>
+      <Pressable onPress={togglePlayback} hitSlop={8} style={styles.playButton}>
+        {isLoading ? (
+          <ActivityIndicator size="small" color={foreground} />
+        ) : (
+          <Ionicons name={isPlaying ? 'pause' : 'play'} size={26} color={foreground} />
+        )}
+      </Pressable>
+
+      <View style={styles.trackContainer}>
+        {/* Seek bar: tap anywhere on the track to jump there */}
+        <Pressable
+          onPress={seek}
+          onLayout={(event) => setTrackWidth(event.nativeEvent.layout.width)}
+          style={styles.trackTouchArea}
+        >
+          <View pointerEvents="none" style={[styles.track, { backgroundColor: isOwn ? 'rgba(255,255,255,0.35)' : theme.border }]}>
+            <View style={[styles.trackFill, { width: `${progress * 100}%`, backgroundColor: foreground }]} />
+          </View>
+          <View pointerEvents="none" style={[styles.thumb, { left: `${progress * 100}%`, backgroundColor: foreground }]} />
+        </Pressable>
+
+        <Text style={[styles.duration, { color: isOwn ? theme.textLight : theme.textSecondary }]}>
+          {formatDuration(isPlaying || position > 0 ? position : duration)}
+        </Text>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    minWidth: 200,
+    marginBottom: 4,
+  },
+  playButton: {
+    width: 36,
+    height: 36,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  trackContainer: {
+    flex: 1,
+  },
+  trackTouchArea: {
+    height: 20,
+    justifyContent: 'center',
+  },
+  track: {
+    height: 4,
+    borderRadius: 2,
+    overflow: 'hidden',
+  },
+  trackFill: {
+    height: 4,
+  },
+  thumb: {
+    position: 'absolute',
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginLeft: -6,
+  },
+  duration: {
+    fontSize: 11,
+    marginTop: 2,
+  },
+});
@@ -0,0 +1,135 @@
+// Hold-to-record mic button for the ChatScreen composer
+// Press and hold to record, release to send, slide left to cancel
+import React, { useMemo, useRef } from 'react';
+// Import React Native components and gesture handling
+import { View, PanResponder, StyleSheet, Alert } from 'react-native';
+// Import icon library for the mic icon
+import { Ionicons } from '@expo/vector-icons';
+// Import recording helpers
+import { startRecording, stopRecording, cancelRecording, MIN_RECORDING_MS } from './voiceNotes';
+
+// Horizontal distance (to the left) after which releasing cancels the recording
+export const CANCEL_DISTANCE = 80;
+
+// Props:
+// - onRecorded({ uri, durationMs }): called with a finished recording
+// - onStateChange({ isRecording, durationMs, willCancel }): drives the recording bar in ChatScreen
+// - theme: current theme object
+export const VoiceRecorderButton = ({ onRecorded, onStateChange, theme }) => {
+  // Active recording (null when idle)
+  const recordingRef = useRef(null);
+  // Set when the finger lifts before the recorder has started
+  const releasedRef = useRef(false);
+  const durationRef = useRef(0);
+  const willCancelRef = useRef(false);
+
+  // Keep the latest callbacks without recreating the pan responder
+  const callbacksRef = useRef({ onRecorded, onStateChange });
+  callbacksRef.current = { onRecorded, onStateChange };
+
+  const report = () => {
+    callbacksRef.current.onStateChange({
+      isRecording: Boolean(recordingRef.current),
+      durationMs: durationRef.current,
+      willCancel: willCancelRef.current,
+    });
+  };
+
+  // Stop the recording and either send or discard it
+  const finish = async (cancel) => {
+    releasedRef.current = true;
+    const recording = recordingRef.current;
+    if (!recording) return;
+
+    recordingRef.current = null;
+    report();
+
+    try {
+      if (cancel) {
+        await cancelRecording(recording);
+        return;
+      }
+      const result = await stopRecording(recording);
+      if (result.durationMs >= MIN_RECORDING_MS) {
+        callbacksRef.current.onRecorded(result);
+      }
+    } catch (error) {
+      console.error('Error finishing recording:', error);
+    }
+  };
+
+  const begin = async () => {
+    releasedRef.current = false;
+    durationRef.current = 0;
+    willCancelRef.current = false;
+
+    try {
+      const recording = await startRecording((status) => {
+        durationRef.current = status.durationMillis || 0;
+        report();
+      });
+
+      if (!recording) {
+        Alert.alert('Microphone access needed', 'Allow microphone access to record voice notes.');
+        return;
+      }
+
+      // The finger lifted while the recorder was starting: treat as an accidental tap
+      if (releasedRef.current) {
+        await cancelRecording(recording);
+        return;
+      }
+
+      recordingRef.current = recording;
+      report();
+    } catch (error) {
+      console.error('Error starting recording:', error);
+    }
+  };
+
+  const panResponder = useMemo(() => PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onPanResponderGrant: () => {
+      begin();
+    },
+    onPanResponderMove: (_, gesture) => {
+      const willCancel = gesture.dx < -CANCEL_DISTANCE;
+      if (willCancel !== willCancelRef.current) {
+        willCancelRef.current = willCancel;
+        report();
+      }
+    },
+    onPanResponderRelease: (_, gesture) => {
+      finish(gesture.dx < -CANCEL_DISTANCE);
+    },
+    // Another view took over the gesture (e.g. scrolling): discard the note
+    onPanResponderTerminate: () => {
+      finish(true);
+    },
+  }), []);
+
+  return (
+    <View
+      {...panResponder.panHandlers}
+      style={[styles.button, { backgroundColor: theme.primary, shadowColor: theme.primary }]}
+    >
+      <Ionicons name="mic" size={24} color={theme.textLight} />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  button: {
+    borderRadius: 24,
+    width: 48,
+    height: 48,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 8,
+    marginBottom: 4,
+    elevation: 3,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.3,
+    shadowRadius: 4,
+  },
+});
@@ -0,0 +1,76 @@
+// Chat attachment helpers: picking images and documents and uploading them to Firebase Storage
+import * as ImagePicker from 'expo-image-picker';
+// Import Expo DocumentPicker for choosing arbitrary files
+import * as DocumentPicker from 'expo-document-picker';
+// Import Toast for permission errors
+import Toast from 'react-native-toast-message';
+// Import resumable upload helper
+import { startUpload } from './uploads';
+
+// Larger files are rejected before upload to keep Storage usage reasonable
+export const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+// Normalized description of a picked file: { uri, name, size, mimeType, type: 'image' | 'file' }
+// Returns null when the user cancels
+
+// Pick an image from the gallery
+export const pickImageAttachment = async () => {
+  const permissionResult = await ImagePicker.requestMediaLibraryPermissionsAsync();
+  if (permissionResult.granted === false) {
+    Toast.show({
+      type: 'error',
+      text1: 'Permission Required',
+      text2: 'Permission to access gallery is required!',
+      position: 'top',
+    });
+    return null;
+  }
+
+  const result = await ImagePicker.launchImageLibraryAsync({
+    mediaTypes: ImagePicker.MediaTypeOptions.Images,
+    quality: 0.7, // Compress photos to keep uploads fast
+  });
+  if (result.canceled) return null;
+
+  const asset = result.assets[0];
+  return {
+    uri: asset.uri,
+    name: asset.fileName || `photo-${Date.now()}.jpg`,
+    size: asset.fileSize || null,
+    mimeType: asset.mimeType || 'image/jpeg',
+    type: 'image',
+  };
+};
+
+// Pick any document (PDF, office files, archives...)
+export const pickDocumentAttachment = async () => {
+  const result = await DocumentPicker.getDocumentAsync({ copyToCacheDirectory: true });
+  if (result.canceled) return null;
+
+  const asset = result.assets[0];
+  return {
+    uri: asset.uri,
+    name: asset.name,
+    size: asset.size || null,
+    mimeType: asset.mimeType || 'application/octet-stream',
+    // Images picked as documents still render as thumbnails
+    type: asset.mimeType?.startsWith('image/') ? 'image' : 'file',
+  };
+};
+
+// Upload a picked file into the conversation's attachment folder
+// Returns { promise, cancel } from startUpload; the promise resolves with the download URL
+export const uploadAttachment = (conversationId, messageId, file, onProgress) =>
+  startUpload(
+    file.uri,
+    `chat_attachments/${conversationId}/${messageId}/${file.name}`,
+    { contentType: file.mimeType, onProgress }
+  );
+
+// Human-readable file size, e.g. "1.4 MB"
+export const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
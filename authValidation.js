@@ -0,0 +1,99 @@
+// Validation and error messages shared by the authentication screens (SignUp, Login, ForgotPassword)
+// Field checks return an errors object keyed by field name, empty when the form is valid,
+// so screens can show each message under its input
+
+// Rules shown under the password field on sign-up; required rules must pass to create an account,
+// the others only raise the strength meter
+export const PASSWORD_RULES = [
+  { key: 'length', label: 'At least 8 characters', required: true, test: (password) => password.length >= 8 },
+  { key: 'number', label: 'Contains a number', required: true, test: (password) => /\d/.test(password) },
+  { key: 'case', label: 'Upper and lower case letters', required: false, test: (password) => /[a-z]/.test(password) && /[A-Z]/.test(password) },
+  { key: 'symbol', label: 'Contains a symbol', required: false, test: (password) => /[^A-Za-z0-9]/.test(password) },
+  { key: 'long', label: '12 characters or more', required: false, test: (password) => password.length >= 12 },
+];
+
+// Strength levels by number of passed rules (index = score)
+const STRENGTH_LEVELS = [
+  { label: 'Too weak', color: '#EF4444' },
+  { label: 'Too weak', color: '#EF4444' },
+  { label: 'Weak', color: '#F97316' },
+  { label: 'Fair', color: '#EAB308' },
+  { label: 'Good', color: '#84CC16' },
+  { label: 'Strong', color: '#22C55E' },
+];
+
+// Single "@" with text on both sides and a dot in the domain
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+// Error message for an email address, or null when it looks valid
+export const validateEmail = (email) => {
+  if (!email.trim()) return 'Please enter your email.';
+  if (!EMAIL_PATTERN.test(email.trim())) return 'Please enter a valid email address.';
+  return null;
+};
+
+// Strength of a password for the meter
+// Returns { score, maxScore, label, color, passed: [rule keys], meetsRequirements }
+export const passwordStrength = (password) => {
+  const passed = PASSWORD_RULES.filter((rule) => rule.test(password));
+  const meetsRequirements = PASSWORD_RULES.every((rule) => !rule.required || rule.test(password));
+  // A password missing a required rule never rates above "Weak"
+  const score = meetsRequirements ? passed.length : Math.min(passed.length, 2);
+  return {
+    score,
+    maxScore: PASSWORD_RULES.length,
+    ...STRENGTH_LEVELS[score],
+    passed: passed.map((rule) => rule.key),
+    meetsRequirements,
+  };
+};
+
+// Sign-up form: valid email, password meeting the required rules, matching confirmation
+export const validateSignUp = ({ email, password, confirmPassword }) => {
+  const errors = {};
+  const emailError = validateEmail(email);
+  if (emailError) errors.email = emailError;
+  if (!password) {
+    errors.password = 'Please choose a password.';
+  } else if (!passwordStrength(password).meetsRequirements) {
+    errors.password = 'Password must be at least 8 characters and contain a number.';
+  }
+  if (!confirmPassword) {
+    errors.confirmPassword = 'Please confirm your password.';
+  } else if (password !== confirmPassword) {
+    errors.confirmPassword = 'Passwords do not match.';
+  }
+  return errors;
+};
+
+// Login form: valid email and a password (its strength is not checked, older accounts may have weaker ones)
+export const validateLogin = ({ email, password }) => {
+  const errors = {};
+  const emailError = validateEmail(email);
+  if (emailError) errors.email = emailError;
+  if (!password) errors.password = 'Please enter your password.';
+  return errors;
+};
+
+// Human-readable messages for Firebase auth error codes, with the field they belong to
+// (null for errors about the whole form, shown in an alert)
+const AUTH_ERRORS = {
+  'auth/invalid-email': { field: 'email', message: 'Please enter a valid email address.' },
+  'auth/missing-email': { field: 'email', message: 'Please enter your email.' },
+  'auth/email-already-in-use': { field: 'email', message: 'An account with this email already exists. Try logging in instead.' },
+  'auth/user-not-found': { field: 'email', message: 'There is no account with this email. Check the spelling or sign up.' },
+  'auth/user-disabled': { field: 'email', message: 'This account has been disabled. Please contact support.' },
+  'auth/wrong-password': { field: 'password', message: 'Incorrect password. Try again or reset it.' },
+  'auth/missing-password': { field: 'password', message: 'Please enter your password.' },
+  'auth/weak-password': { field: 'password', message: 'This password is too weak. Please choose a stronger one.' },
+  // Returned instead of user-not-found/wrong-password when email enumeration protection is on
+  'auth/invalid-credential': { field: null, message: 'Incorrect email or password. Please try again or reset your password.' },
+  'auth/invalid-login-credentials': { field: null, message: 'Incorrect email or password. Please try again or reset your password.' },
+  'auth/too-many-requests': { field: null, message: 'Too many attempts. Please wait a few minutes and try again.' },
+  'auth/network-request-failed': { field: null, message: 'No internet connection. Please check your connection and try again.' },
+  'auth/operation-not-allowed': { field: null, message: 'Email sign-in is not enabled for this app. Please contact support.' },
+};
+
+// Translate a Firebase auth error into { field, message }; unknown errors get a generic message
+export const describeAuthError = (error, fallback = 'Something went wrong. Please try again.') =>
+  AUTH_ERRORS[error?.code] || { field: null, message: fallback };
@@ -0,0 +1,202 @@
+// Buddies (contacts) and buddy requests
+// Each pair of users has at most one document in "buddies", keyed like their 1:1 conversation
+// (the two sorted emails): a pending request until the recipient accepts it, then an accepted buddy.
+// Declining, cancelling and removing a buddy all delete the document
+// Only accepted buddies are listed and can message each other (also enforced in firestore.rules)
+// Blocks are kept apart from buddies in blocks/{blocker}/users/{blocked}, so removing the buddy
+// (which either side may do) never lifts a block; the buddy document mirrors them in blockedBy
+// so the security rules can check a whole group's members cheaply
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  writeBatch,
+  arrayUnion,
+  arrayRemove,
+  query,
+  where,
+  onSnapshot,
+  serverTimestamp,
+} from 'firebase/firestore';
+// Import AsyncStorage to remember that existing chats were turned into buddies on this device
+import AsyncStorage from '@react-native-async-storage/async-storage';
+// Import Firestore database instance
+import { db } from './firebase';
+// Import the pair ID shared with 1:1 conversations
+import { getConversationId } from './conversations';
+// Import profile lookups for finding users by email or handle
+import { findProfile, findProfileByHandle } from './profiles';
+
+// Reference to the document recording that `email` blocked `other`
+const blockDoc = (email, other) => doc(db, 'blocks', email, 'users', other);
+
+// Reference to the buddy document of two users
+const buddyDoc = (emailA, emailB) => doc(db, 'buddies', getConversationId(emailA, emailB));
+
+// Error with a code, so screens can tell expected failures from unexpected ones
+const buddyError = (code, message) => Object.assign(new Error(message), { code });
+
+// An email address has a single "@" with text on both sides; anything else is read as a handle
+const looksLikeEmail = (input) => /^[^@\s]+@[^@\s]+$/.test(input);
+
+// Send a buddy request to the user with the given email or @handle
+// If that user already sent us a request, it is accepted instead
+// Resolves to { email, status: 'pending' | 'accepted' }; rejects with a coded error
+// (buddies/not-found, buddies/self, buddies/already-buddies, buddies/already-requested)
+export const sendBuddyRequest = async (email, emailOrHandle) => {
+  const input = emailOrHandle.trim();
+  const profile = looksLikeEmail(input)
+    ? await findProfile(input.toLowerCase())
+    : await findProfileByHandle(input);
+  if (!profile) {
+    throw buddyError('buddies/not-found', 'No user found with that email or handle.');
+  }
+
+  const target = profile.data().email;
+  if (target === email) {
+    throw buddyError('buddies/self', "You can't send a buddy request to yourself.");
+  }
+
+  const existing = await getDoc(buddyDoc(email, target));
+  if (existing.exists()) {
+    const { status, requestedBy } = existing.data();
+    if (status === 'accepted') {
+      throw buddyError('buddies/already-buddies', 'You are already buddies.');
+    }
+    if (requestedBy === email) {
+      throw buddyError('buddies/already-requested', 'You already sent a request to this user.');
+    }
+    await acceptBuddyRequest(email, target);
+    return { email: target, status: 'accepted' };
+  }
+
+  await setDoc(buddyDoc(email, target), {
+    participants: [email, target].sort(),
+    requestedBy: email,
+    status: 'pending',
+    createdAt: serverTimestamp(),
+  });
+  return { email: target, status: 'pending' };
+};
+
+// Accept a pending request sent to the user by `requester`
+export const acceptBuddyRequest = (email, requester) =>
+  updateDoc(buddyDoc(email, requester), {
+    status: 'accepted',
+    acceptedAt: serverTimestamp(),
+  });
+
+// Decline an incoming request, cancel an outgoing one, or remove an accepted buddy
+export const removeBuddy = (email, other) => deleteDoc(buddyDoc(email, other));
+
+// Listen to the user's buddies and requests
+// Callback receives { buddies: [email], incoming: [request], outgoing: [request] }
+// where a request is { email, createdAt }; requests are sorted newest first
+export const subscribeContacts = (email, callback) =>
+  onSnapshot(query(
+    collection(db, 'buddies'),
+    where('participants', 'array-contains', email)
+  ), (snapshot) => {
+    const contacts = { buddies: [], incoming: [], outgoing: [] };
+    snapshot.docs.forEach((buddySnapshot) => {
+      const data = buddySnapshot.data();
+      const other = data.participants.find((participant) => participant !== email);
+      if (data.status === 'accepted') {
+        contacts.buddies.push(other);
+      } else {
+        const request = { email: other, createdAt: data.createdAt };
+        contacts[data.requestedBy === email ? 'outgoing' : 'incoming'].push(request);
+      }
+    });
+    const newestFirst = (a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0);
+    contacts.incoming.sort(newestFirst);
+    contacts.outgoing.sort(newestFirst);
+    callback(contacts);
+  }, (error) => {
+    console.error('Error listening to buddies:', error);
+  });
+
+// Listen to the relationship between two users (ChatScreen)
+// Callback receives null, or { status: 'pending' | 'accepted', requestedBy }
+export const subscribeBuddy = (emailA, emailB, callback) =>
+  onSnapshot(buddyDoc(emailA, emailB), (snapshot) => {
+    callback(snapshot.exists() ? { status: snapshot.data().status, requestedBy: snapshot.data().requestedBy } : null);
+  }, (error) => {
+    console.error('Error listening to buddy:', error);
+  });
+
+// Block a user: their messages are hidden, and neither side can message the other
+// or send a buddy request until unblocked (enforced in firestore.rules)
+export const blockUser = async (email, other) => {
+  const batch = writeBatch(db);
+  batch.set(blockDoc(email, other), { blockedAt: serverTimestamp() });
+  if ((await getDoc(buddyDoc(email, other))).exists()) {
+    batch.update(buddyDoc(email, other), { blockedBy: arrayUnion(email) });
+  }
+  await batch.commit();
+};
+
+// Lift a block; an existing buddy relationship works again right away
+export const unblockUser = async (email, other) => {
+  const batch = writeBatch(db);
+  batch.delete(blockDoc(email, other));
+  if ((await getDoc(buddyDoc(email, other))).exists()) {
+    batch.update(buddyDoc(email, other), { blockedBy: arrayRemove(email) });
+  }
+  await batch.commit();
+};
+
+// Listen to the users blocked by `email`; callback receives an array of emails
+export const subscribeBlocked = (email, callback) =>
+  onSnapshot(collection(db, 'blocks', email, 'users'), (snapshot) => {
+    callback(snapshot.docs.map((blockSnapshot) => blockSnapshot.id));
+  }, (error) => {
+    console.error('Error listening to blocked users:', error);
+  });
+
+// Last moment migrateExistingContacts may run; the rules reject its buddies afterwards
+// Keep in step with contactsMigrationDeadline() in firestore.rules
+const CONTACTS_MIGRATION_DEADLINE = Date.UTC(2027, 0, 1);
+
+// One-off migration for users who chatted before buddies existed
+// Everyone the user already has a 1:1 conversation with becomes an accepted buddy,
+// so existing chats keep working; the rules only allow this when that conversation has messages,
+// and only until CONTACTS_MIGRATION_DEADLINE
+export const migrateExistingContacts = async (email) => {
+  const flagKey = `contactsMigrated:${email}`;
+
+  try {
+    if (Date.now() >= CONTACTS_MIGRATION_DEADLINE || await AsyncStorage.getItem(flagKey)) return;
+
+    const snapshot = await getDocs(query(
+      collection(db, 'conversations'),
+      where('participants', 'array-contains', email)
+    ));
+
+    for (const conversation of snapshot.docs) {
+      const { isGroup, participants, lastMessage } = conversation.data();
+      const other = participants.find((participant) => participant !== email);
+      if (isGroup || !other || !lastMessage) continue;
+
+      const existing = await getDoc(buddyDoc(email, other));
+      if (existing.exists()) continue;
+
+      await setDoc(buddyDoc(email, other), {
+        participants: [email, other].sort(),
+        requestedBy: email,
+        status: 'accepted',
+        createdAt: serverTimestamp(),
+        acceptedAt: serverTimestamp(),
+      });
+    }
+
+    await AsyncStorage.setItem(flagKey, 'done');
+  } catch (error) {
+    // Leave the flag unset so the migration is retried on next launch
+    console.error('Error migrating existing contacts:', error);
+  }
+};
@@ -0,0 +1,424 @@
+// Conversation helpers for per-conversation message storage
+// Messages live under conversations/{conversationId}/messages instead of one global "chats" collection,
+// so each client only downloads the messages of the conversation it has open
+import {
+  collection,
+  doc,
+  addDoc,
+  getDoc,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  getDocs,
+  onSnapshot,
+  writeBatch,
+  arrayUnion,
+  arrayRemove,
+  deleteField,
+  serverTimestamp,
+  increment,
+  FieldPath,
+} from 'firebase/firestore';
+// Import Firebase Storage functions to remove attachments of deleted messages
+import { ref, deleteObject } from 'firebase/storage';
+// Import AsyncStorage to remember that the legacy migration already ran on this device
+import AsyncStorage from '@react-native-async-storage/async-storage';
+// Import Firestore database instance
+import { db, storage } from './firebase';
+// Import end-to-end encryption helpers for 1:1 messages
+import { fetchPublicKey, encryptPayload, getOwnPublicKey } from './encryption';
+
+// How long after sending a message its author may still edit or delete it
+// Keep in step with messageEditWindow() in firestore.rules, which enforces it
+const MESSAGE_EDIT_WINDOW_MINUTES = 15;
+export const MESSAGE_EDIT_WINDOW_MS = MESSAGE_EDIT_WINDOW_MINUTES * 60 * 1000;
+
+// Members added to a group in one write: the security rules check each new member
+// against the writer's buddies one by one and allow at most this many per write
+const GROUP_MEMBERS_PER_WRITE = 8;
+
+// Firestore limits a batch to 500 writes; each migrated message needs 3 (copy, conversation, delete)
+const MIGRATION_BATCH_SIZE = 150;
+
+// Build a stable conversation ID from the two participant emails
+// Sorting makes both sides of a 1:1 chat resolve to the same document
+// Self-chat (personal notes) resolves to "email_email"
+export const getConversationId = (emailA, emailB) => [emailA, emailB].sort().join('_');
+
+// Reference to the conversation document holding participants and metadata
+export const conversationDoc = (conversationId) => doc(db, 'conversations', conversationId);
+
+// Reference to the messages subcollection of a conversation
+export const messagesCollection = (conversationId) =>
+  collection(db, 'conversations', conversationId, 'messages');
+
+// Generate a new message ID up front (used when a message needs an ID before it is sent,
+// e.g. as the Storage folder of its attachment)
+export const newMessageId = (conversationId) => doc(messagesCollection(conversationId)).id;
+
+// Reference to a single message document
+const messageDoc = (conversationId, messageId) => doc(messagesCollection(conversationId), messageId);
+
+// Remove duplicate emails (self-chat has the same participant twice)
+const uniqueParticipants = (participants) => [...new Set(participants.filter(Boolean))];
+
+// One-line description of a message for the inbox and other previews
+export const messagePreview = (message) => {
+  if (message.deleted) return 'Message deleted';
+  // Encrypted text must not leak into the conversation document
+  if (message.encryption) return '🔒 Encrypted message';
+  if (message.text) return message.text;
+  if (message.attachment?.type === 'image') return '📷 Photo';
+  if (message.attachment?.type === 'audio') return '🎤 Voice message';
+  if (message.attachment?.type === 'file') return `📎 ${message.attachment.name}`;
+  return '';
+};
+
+// Encrypt the text and quote of a 1:1 message once both users have a key pair
+// Messages without text (attachments only) and messages to buddies without a key stay as they are
+const encryptForRecipient = async (message, recipient) => {
+  if (!getOwnPublicKey() || !(message.text || message.replyTo)) return message;
+  const receiverKey = await fetchPublicKey(recipient);
+  if (!receiverKey) return message;
+
+  const { text, replyTo, ...rest } = message;
+  return {
+    ...rest,
+    text: '',
+    encryption: encryptPayload({ text, ...(replyTo ? { replyTo } : {}) }, receiverKey),
+  };
+};
+
+// Write a GiftedChat message into its conversation
+// The message _id doubles as the document ID so repeated writes never create duplicates
+// Pass participants for 1:1 chats; groups pass null because membership is managed by createGroup
+// The conversation document also keeps the inbox summary: last message, activity time
+// and an unread counter per recipient (unread.{email})
+// 1:1 messages are end-to-end encrypted here, right before they are written; only their text and
+// quote are, attachments stay readable by anyone with their download URL
+export const sendMessage = async (conversationId, participants, plainMessage) => {
+  const batch = writeBatch(db);
+
+  // Group members are read from the group document
+  const members = participants
+    ? uniqueParticipants(participants)
+    : (await getDoc(conversationDoc(conversationId))).data()?.participants || [];
+  const recipients = members.filter((email) => email !== plainMessage.user._id);
+
+  const message = participants && recipients.length === 1
+    ? await encryptForRecipient(plainMessage, recipients[0])
+    : plainMessage;
+
+  batch.set(conversationDoc(conversationId), {
+    // Keep a 1:1 conversation document up to date with its participants
+    ...(participants ? { participants: members } : {}),
+    lastMessage: {
+      _id: message._id,
+      text: messagePreview(message),
+      senderId: message.user._id,
+      senderName: message.user.name || message.user._id,
+      createdAt: message.createdAt,
+    },
+    updatedAt: message.createdAt,
+    // Map keys in set() are taken literally, so the dots in emails are safe here
+    unread: Object.fromEntries(recipients.map((email) => [email, increment(1)])),
+  }, { merge: true });
+
+  batch.set(messageDoc(conversationId, message._id), message);
+
+  await batch.commit();
+};
+
+// Reset the user's unread counter of a conversation (they have seen it)
+export const markConversationRead = (conversationId, email) =>
+  updateDoc(conversationDoc(conversationId), new FieldPath('unread', email), 0);
+
+// Keep the inbox preview in step when the last message of a conversation is edited or deleted
+const refreshLastMessage = async (conversationId, message) => {
+  const snapshot = await getDoc(conversationDoc(conversationId));
+  if (snapshot.data()?.lastMessage?._id === message._id) {
+    await updateDoc(conversationDoc(conversationId), { 'lastMessage.text': messagePreview(message) });
+  }
+};
+
+// Record delivered (and optionally read) receipts for messages received by the given user
+// Receipts are arrays of recipient emails so they also work for multi-recipient conversations
+export const markMessagesSeen = async (conversationId, messageIds, email, { read }) => {
+  const batch = writeBatch(db);
+
+  messageIds.forEach((messageId) => {
+    batch.update(messageDoc(conversationId, messageId), {
+      deliveredTo: arrayUnion(email),
+      ...(read ? { readBy: arrayUnion(email) } : {}),
+    });
+  });
+
+  await batch.commit();
+};
+
+// Whether the given user may edit or delete a message:
+// only its author, only once stored, and only within MESSAGE_EDIT_WINDOW_MS of sending
+export const canModifyMessage = (message, email) =>
+  message.user?._id === email &&
+  Boolean(message.id) &&
+  !message.pending &&
+  !message.failed &&
+  !message.deleted &&
+  Date.now() - new Date(message.createdAt).getTime() < MESSAGE_EDIT_WINDOW_MS;
+
+// Longest quoted text stored on a reply
+const REPLY_TEXT_LIMIT = 140;
+
+// Snapshot of a message stored on replies to it (replyTo field)
+// The quote keeps showing even if the original is edited, deleted or not loaded yet
+export const toReplyReference = (message) => ({
+  _id: message._id,
+  text: (message.text || '').slice(0, REPLY_TEXT_LIMIT),
+  userId: message.user._id,
+  userName: message.user.name || message.user._id,
+  ...(message.attachment ? { attachmentType: message.attachment.type } : {}),
+});
+
+// Replace a message's text, keeping every previous version in editHistory
+// Encrypted messages stay encrypted: the new text is encrypted for the same buddy key
+// and the history keeps the previous ciphertext instead of plaintext
+export const editMessage = async (conversationId, message, text) => {
+  const changes = message.encryption
+    ? {
+      encryption: encryptPayload(
+        { text, ...(message.replyTo ? { replyTo: message.replyTo } : {}) },
+        message.encryption.receiverKey
+      ),
+      editHistory: arrayUnion({ encryption: message.encryption, replacedAt: new Date() }),
+    }
+    : {
+      text,
+      editHistory: arrayUnion({ text: message.text, replacedAt: new Date() }),
+    };
+
+  await updateDoc(messageDoc(conversationId, message.id), {
+    ...changes,
+    edited: true,
+    editedAt: new Date(),
+  });
+  await refreshLastMessage(conversationId, { ...message, text });
+};
+
+// Delete a message for everyone, leaving a "message deleted" tombstone in its place
+// Text (plain or encrypted), attachment, quote, reactions and edit history are removed;
+// the attachment file is removed from Storage too
+export const deleteMessageForEveryone = async (conversationId, message) => {
+  await updateDoc(messageDoc(conversationId, message.id), {
+    deleted: true,
+    deletedAt: new Date(),
+    text: '',
+    encryption: deleteField(),
+    attachment: deleteField(),
+    replyTo: deleteField(),
+    reactions: deleteField(),
+    editHistory: deleteField(),
+  });
+  await refreshLastMessage(conversationId, { ...message, deleted: true });
+
+  if (message.attachment?.url) {
+    deleteObject(ref(storage, message.attachment.url))
+      .catch((error) => console.error('Error deleting attachment file:', error));
+  }
+};
+
+// Emoji offered in the reaction bar of the long-press menu
+export const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+// Set (or change) the current user's reaction on a message
+// Reactions are stored as reactions.{email} = emoji; FieldPath keeps the dots in emails from nesting fields
+export const setReaction = (conversationId, messageId, email, emoji) =>
+  updateDoc(messageDoc(conversationId, messageId), new FieldPath('reactions', email), emoji);
+
+// Remove the current user's reaction from a message
+export const removeReaction = (conversationId, messageId, email) =>
+  updateDoc(messageDoc(conversationId, messageId), new FieldPath('reactions', email), deleteField());
+
+// Aggregate a message's reactions map into [{ emoji, count, users }], most used first
+export const summarizeReactions = (reactions = {}) => {
+  const byEmoji = {};
+  Object.entries(reactions).forEach(([email, emoji]) => {
+    byEmoji[emoji] = byEmoji[emoji] || { emoji, count: 0, users: [] };
+    byEmoji[emoji].count += 1;
+    byEmoji[emoji].users.push(email);
+  });
+  return Object.values(byEmoji).sort((a, b) => b.count - a.count);
+};
+
+// Create a group conversation and return its generated ID
+// The creator becomes the first admin and is always part of the participants
+// Members beyond GROUP_MEMBERS_PER_WRITE are added right after creation
+export const createGroup = async ({ name, photo, members, createdBy }) => {
+  const others = uniqueParticipants(members).filter((email) => email !== createdBy);
+  const groupRef = await addDoc(collection(db, 'conversations'), {
+    isGroup: true,
+    name,
+    photo: photo || null,
+    participants: [createdBy, ...others.slice(0, GROUP_MEMBERS_PER_WRITE)],
+    admins: [createdBy],
+    createdBy,
+    createdAt: serverTimestamp(),
+  });
+  await addGroupMembers(groupRef.id, others.slice(GROUP_MEMBERS_PER_WRITE));
+  return groupRef.id;
+};
+
+// Add buddies to an existing group (admins only)
+// arrayUnion appends, which is what the security rules expect from additions
+export const addGroupMembers = async (conversationId, emails) => {
+  for (let i = 0; i < emails.length; i += GROUP_MEMBERS_PER_WRITE) {
+    await updateDoc(conversationDoc(conversationId), {
+      participants: arrayUnion(...emails.slice(i, i + GROUP_MEMBERS_PER_WRITE)),
+    });
+  }
+};
+
+// Remove a member from a group (also used when a member leaves)
+// When the last admin leaves, the longest-standing remaining member is promoted
+export const removeGroupMember = async (group, email) => {
+  const remaining = group.participants.filter((participant) => participant !== email);
+  const remainingAdmins = (group.admins || []).filter((admin) => admin !== email);
+
+  await updateDoc(conversationDoc(group.id), {
+    participants: arrayRemove(email),
+    admins: remainingAdmins.length === 0 && remaining.length > 0
+      ? [remaining[0]]
+      : arrayRemove(email),
+  });
+};
+
+// Listen to a conversation document (group name, picture, participants)
+export const subscribeConversation = (conversationId, callback) =>
+  onSnapshot(conversationDoc(conversationId), (snapshot) => {
+    callback(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+  }, (error) => {
+    console.error('Error listening to conversation:', error);
+  });
+
+// Listen to the user's conversations that have messages, most recent activity first (inbox)
+// Sorted on the client to avoid a composite index on participants + updatedAt
+export const subscribeInbox = (email, callback) =>
+  onSnapshot(query(
+    collection(db, 'conversations'),
+    where('participants', 'array-contains', email)
+  ), (snapshot) => {
+    const conversations = snapshot.docs
+      .map((conversation) => ({ id: conversation.id, ...conversation.data() }))
+      .filter((conversation) => conversation.lastMessage)
+      .sort((a, b) => (b.updatedAt?.toMillis?.() || 0) - (a.updatedAt?.toMillis?.() || 0));
+    callback(conversations);
+  }, (error) => {
+    console.error('Error listening to inbox:', error);
+  });
+
+// Listen to the groups the user belongs to (Buddies list)
+export const subscribeGroups = (email, callback) =>
+  onSnapshot(query(
+    collection(db, 'conversations'),
+    where('participants', 'array-contains', email),
+    where('isGroup', '==', true)
+  ), (snapshot) => {
+    callback(snapshot.docs.map((groupDoc) => ({ id: groupDoc.id, ...groupDoc.data() })));
+  }, (error) => {
+    console.error('Error listening to groups:', error);
+  });
+
+// One-off migration from the legacy global "chats" collection
+// Moves every message the given user sent or received into its conversation, then deletes the original
+// Safe to run repeatedly: copies keep the legacy document ID, and a local flag skips finished runs
+export const migrateLegacyChats = async (email) => {
+  const flagKey = `chatsMigrated:${email}`;
+
+  try {
+    if (await AsyncStorage.getItem(flagKey)) return;
+
+    // Fetch both directions of the user's legacy conversations
+    // The oldest messages store the sender as a plain email instead of a GiftedChat user object
+    const [sentSnapshot, sentAsEmailSnapshot, receivedSnapshot] = await Promise.all([
+      getDocs(query(collection(db, 'chats'), where('user._id', '==', email))),
+      getDocs(query(collection(db, 'chats'), where('user', '==', email))),
+      getDocs(query(collection(db, 'chats'), where('receiver', '==', email))),
+    ]);
+
+    // Self-chat messages match several queries, so deduplicate by document ID
+    const legacyDocs = new Map();
+    [...sentSnapshot.docs, ...sentAsEmailSnapshot.docs, ...receivedSnapshot.docs].forEach((legacyDoc) => {
+      legacyDocs.set(legacyDoc.id, legacyDoc);
+    });
+
+    const docs = [...legacyDocs.values()];
+    for (let i = 0; i < docs.length; i += MIGRATION_BATCH_SIZE) {
+      const batch = writeBatch(db);
+
+      docs.slice(i, i + MIGRATION_BATCH_SIZE).forEach((legacyDoc) => {
+        const data = legacyDoc.data();
+        const sender = data.user?._id || data.user;
+        const conversationId = getConversationId(sender, data.receiver);
+
+        batch.set(conversationDoc(conversationId), {
+          participants: uniqueParticipants([sender, data.receiver]),
+        }, { merge: true });
+        // Copies always get a user object, as the app reads the sender from user._id
+        batch.set(doc(messagesCollection(conversationId), legacyDoc.id), {
+          ...data,
+          user: typeof data.user === 'string' ? { _id: sender } : data.user,
+        });
+        batch.delete(legacyDoc.ref);
+      });
+
+      await batch.commit();
+    }
+
+    await AsyncStorage.setItem(flagKey, 'done');
+  } catch (error) {
+    // Leave the flag unset so the migration is retried on next launch
+    console.error('Error migrating legacy chats:', error);
+  }
+};
+
+// One-off backfill of inbox summaries for conversations created before summaries existed
+// Uses each conversation's newest message; unread counters start at zero
+export const backfillInboxSummaries = async (email) => {
+  const flagKey = `inboxBackfilled:${email}`;
+
+  try {
+    if (await AsyncStorage.getItem(flagKey)) return;
+
+    const snapshot = await getDocs(query(
+      collection(db, 'conversations'),
+      where('participants', 'array-contains', email)
+    ));
+
+    for (const conversation of snapshot.docs) {
+      if (conversation.data().lastMessage) continue;
+
+      const newest = await getDocs(query(messagesCollection(conversation.id), orderBy('createdAt', 'desc'), limit(1)));
+      if (newest.empty) continue;
+
+      const message = newest.docs[0].data();
+      // Legacy messages may store the sender as a plain email
+      const sender = message.user?._id || message.user;
+      await updateDoc(conversation.ref, {
+        lastMessage: {
+          _id: newest.docs[0].id,
+          text: messagePreview(message),
+          senderId: sender,
+          senderName: message.user?.name || sender,
+          createdAt: message.createdAt,
+        },
+        updatedAt: message.createdAt,
+      });
+    }
+
+    await AsyncStorage.setItem(flagKey, 'done');
+  } catch (error) {
+    // Leave the flag unset so the backfill is retried on next launch
+    console.error('Error backfilling inbox summaries:', error);
+  }
+};
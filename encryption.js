@@ -0,0 +1,190 @@
+// End-to-end encryption for 1:1 conversations
+// Every user has a NaCl box key pair: the secret key never leaves the device (expo-secure-store)
+// and the public key is published on the user's profile. The text of a 1:1 message (and its quote)
+// is encrypted with the key shared by the two participants, so only they can read it
+import nacl from 'tweetnacl';
+// Import encoders between strings, bytes and base64
+import { encodeBase64, decodeBase64, encodeUTF8, decodeUTF8 } from 'tweetnacl-util';
+// Import secure storage for the secret key
+import * as SecureStore from 'expo-secure-store';
+// Import platform crypto for random bytes and the safety number digest
+import * as Crypto from 'expo-crypto';
+// Import AsyncStorage to remember which buddy keys were verified
+import AsyncStorage from '@react-native-async-storage/async-storage';
+// Import profile helpers for publishing and fetching public keys
+import { findProfile, updateProfile } from './profiles';
+
+// tweetnacl has no random source in React Native: use the platform's secure generator
+nacl.setPRNG((output, length) => {
+  const bytes = Crypto.getRandomBytes(length);
+  for (let i = 0; i < length; i++) output[i] = bytes[i];
+});
+
+// Format version stored with every encrypted message
+const ENCRYPTION_VERSION = 1;
+
+// SecureStore keys may only contain letters, digits, ".", "-" and "_"
+const secretKeyName = (email) => `e2eeSecretKey_${email.replace(/[^\w.-]/g, '_')}`;
+
+// Key pair of the signed-in user (null until loadKeyPair finishes)
+let keyPair = null;
+// In-flight loadKeyPair call, so concurrent callers never create two key pairs
+let loading = null;
+// Called whenever the key pair is loaded or cleared
+const keyListeners = new Set();
+// Public keys of other users by email
+const publicKeys = new Map();
+// Shared keys by buddy public key, and decrypted payloads by nonce
+const sharedKeys = new Map();
+const decryptedPayloads = new Map();
+
+const notifyKeyListeners = () => keyListeners.forEach((listener) => listener());
+
+// Load the signed-in user's key pair, creating it on first use, and publish the public key
+// Runs after sign-up and on every sign-in. A device without the secret key (new phone, reinstall)
+// gets a new pair, so messages encrypted for the previous key cannot be read on it
+export const loadKeyPair = (email) => {
+  if (!loading) {
+    loading = (async () => {
+      const stored = await SecureStore.getItemAsync(secretKeyName(email));
+      if (stored) {
+        keyPair = nacl.box.keyPair.fromSecretKey(decodeBase64(stored));
+      } else {
+        keyPair = nacl.box.keyPair();
+        await SecureStore.setItemAsync(secretKeyName(email), encodeBase64(keyPair.secretKey));
+      }
+      notifyKeyListeners();
+
+      const publicKey = encodeBase64(keyPair.publicKey);
+      const profile = await findProfile(email);
+      if (profile?.data().publicKey !== publicKey) {
+        await updateProfile(email, { publicKey });
+      }
+      publicKeys.set(email, publicKey);
+    })().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+};
+
+// Forget the key pair on sign-out (the secret key stays in secure storage for the next sign-in)
+export const clearKeyPair = () => {
+  keyPair = null;
+  sharedKeys.clear();
+  decryptedPayloads.clear();
+  notifyKeyListeners();
+};
+
+// Listen for the key pair being loaded or cleared; returns the unsubscribe function
+export const subscribeKeyPair = (listener) => {
+  keyListeners.add(listener);
+  return () => keyListeners.delete(listener);
+};
+
+// The signed-in user's public key (base64), or null before loadKeyPair finishes
+export const getOwnPublicKey = () => (keyPair ? encodeBase64(keyPair.publicKey) : null);
+
+// Fetch a user's published public key (null for users without one, e.g. older app versions)
+// Cached; pass refresh to re-read the profile, e.g. when their chat is opened
+export const fetchPublicKey = async (email, { refresh = false } = {}) => {
+  if (!refresh && publicKeys.has(email)) return publicKeys.get(email);
+  const profile = await findProfile(email);
+  const publicKey = profile?.data().publicKey || null;
+  publicKeys.set(email, publicKey);
+  return publicKey;
+};
+
+const sharedKeyFor = (theirPublicKey) => {
+  if (!sharedKeys.has(theirPublicKey)) {
+    sharedKeys.set(theirPublicKey, nacl.box.before(decodeBase64(theirPublicKey), keyPair.secretKey));
+  }
+  return sharedKeys.get(theirPublicKey);
+};
+
+// Encrypt a message payload ({ text, replyTo }) for the buddy with the given public key
+// Returns the "encryption" field stored on the message instead of the plaintext;
+// both public keys are kept so either side can pick the right shared key later
+export const encryptPayload = (payload, receiverPublicKey) => {
+  const nonce = nacl.randomBytes(nacl.box.nonceLength);
+  const ciphertext = nacl.box.after(decodeUTF8(JSON.stringify(payload)), nonce, sharedKeyFor(receiverPublicKey));
+  return {
+    version: ENCRYPTION_VERSION,
+    nonce: encodeBase64(nonce),
+    ciphertext: encodeBase64(ciphertext),
+    senderKey: getOwnPublicKey(),
+    receiverKey: receiverPublicKey,
+  };
+};
+
+// Decrypt a message's "encryption" field
+// Returns the payload, or null when it cannot be read here (keys not loaded yet,
+// or the message was encrypted for a previous key of this user)
+const decryptPayload = (encryption) => {
+  if (!keyPair) return null;
+  if (decryptedPayloads.has(encryption.nonce)) return decryptedPayloads.get(encryption.nonce);
+
+  const ownKey = getOwnPublicKey();
+  const theirKey = encryption.senderKey === ownKey
+    ? encryption.receiverKey
+    : encryption.receiverKey === ownKey ? encryption.senderKey : null;
+  if (!theirKey) return null;
+
+  const opened = nacl.box.open.after(
+    decodeBase64(encryption.ciphertext),
+    decodeBase64(encryption.nonce),
+    sharedKeyFor(theirKey)
+  );
+  if (!opened) return null;
+
+  const payload = JSON.parse(encodeUTF8(opened));
+  decryptedPayloads.set(encryption.nonce, payload);
+  return payload;
+};
+
+// Message data with its encrypted payload restored (text, replyTo)
+// Unreadable messages are flagged with decryptionFailed so the bubble can say so
+export const decryptMessage = (message) => {
+  if (!message.encryption) return message;
+  const payload = decryptPayload(message.encryption);
+  return payload
+    ? { ...message, ...payload, encrypted: true }
+    : { ...message, encrypted: true, decryptionFailed: true };
+};
+
+// Safety number of two users: 12 groups of 5 digits derived from both emails and public keys
+// Both phones compute the same number; if they match, nobody has substituted a key
+export const computeSafetyNumber = async (emailA, publicKeyA, emailB, publicKeyB) => {
+  const input = [[emailA, publicKeyA], [emailB, publicKeyB]]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([email, publicKey]) => `${email}:${publicKey}`)
+    .join('|');
+  const hex = await Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, input);
+
+  const groups = [];
+  for (let i = 0; i < 12; i++) {
+    const value = parseInt(hex.slice(i * 5, i * 5 + 5), 16) % 100000;
+    groups.push(value.toString().padStart(5, '0'));
+  }
+  return groups;
+};
+
+// Buddy keys the user has verified, stored on this device: { [buddyEmail]: publicKey }
+const verifiedKeysName = (email) => `verifiedKeys:${email}`;
+
+export const getVerifiedKey = async (email, buddy) => {
+  const stored = await AsyncStorage.getItem(verifiedKeysName(email));
+  return stored ? JSON.parse(stored)[buddy] || null : null;
+};
+
+// Mark a buddy's key as verified (or clear it with null)
+export const setVerifiedKey = async (email, buddy, publicKey) => {
+  const stored = await AsyncStorage.getItem(verifiedKeysName(email));
+  const verified = stored ? JSON.parse(stored) : {};
+  if (publicKey) {
+    verified[buddy] = publicKey;
+  } else {
+    delete verified[buddy];
+  }
+  await AsyncStorage.setItem(verifiedKeysName(email), JSON.stringify(verified));
+};
@@ -2,7 +2,8 @@
 // This file sets up connection to Firebase backend services
 import { initializeApp } from 'firebase/app';
 import { getFirestore } from 'firebase/firestore';
-import { getAuth } from 'firebase/auth';
+import { initializeAuth, getReactNativePersistence } from 'firebase/auth';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getStorage } from 'firebase/storage';
 
 // Firebase project configuration
@@ -21,5 +22,9 @@ export const app = initializeApp(firebaseConfig);
 
 // Initialize and export Firebase services for use throughout the app
 export const db = getFirestore(app); // Firestore database for storing messages and user data
-export const auth = getAuth(app); // Authentication service for user sign up/login
+// Authentication service for user sign up/login
+// The session is persisted in AsyncStorage so users stay signed in across app restarts
+export const auth = initializeAuth(app, {
+  persistence: getReactNativePersistence(AsyncStorage),
+});
 export const storage = getStorage(app); // Cloud Storage for profile pictures and media files
@@ -0,0 +1,34 @@
+// Reports of abusive users and messages
+// Reports are written to the "reports" collection for moderators (Firebase Console or an admin tool);
+// clients can create reports but never read them back (see firestore.rules)
+import { collection, addDoc, serverTimestamp } from 'firebase/firestore';
+// Import Firestore database instance
+import { db } from './firebase';
+
+// Reasons offered in the report form
+export const REPORT_REASONS = [
+  { key: 'spam', label: 'Spam or scam' },
+  { key: 'harassment', label: 'Harassment or bullying' },
+  { key: 'inappropriate', label: 'Inappropriate content' },
+  { key: 'impersonation', label: 'Pretending to be someone else' },
+  { key: 'other', label: 'Something else' },
+];
+
+// Longest free-text explanation accepted with a report
+export const REPORT_DETAILS_LIMIT = 500;
+
+// Record a report about a user, with the IDs of the offending messages in the conversation
+// Resolves to the report ID
+export const reportUser = async ({ reporter, reportedUser, conversationId, messageIds, reason, details }) => {
+  const reportRef = await addDoc(collection(db, 'reports'), {
+    reporter,
+    reportedUser,
+    conversationId,
+    messageIds,
+    reason,
+    details: details.trim().slice(0, REPORT_DETAILS_LIMIT),
+    status: 'open',
+    createdAt: serverTimestamp(),
+  });
+  return reportRef.id;
+};
@@ -0,0 +1,110 @@
+// Local notifications for messages that arrive while the app is in the background
+// There is no push server: the app's own Firestore listener (see unreadMessages.js) raises them,
+// so they are shown for as long as the OS keeps the backgrounded app running
+import * as Notifications from 'expo-notifications';
+// Import Platform for the Android notification channel
+import { Platform } from 'react-native';
+// Import AsyncStorage to remember the last handled notification tap across launches
+import AsyncStorage from '@react-native-async-storage/async-storage';
+// Import navigation helper to open the tapped conversation
+import { openConversation } from './RootNavigation';
+
+// Android channel used for message notifications
+const CHANNEL_ID = 'messages';
+
+// No system notifications while the app is open: in-app banners cover that case
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowAlert: false,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
+
+// One notification per conversation: a newer message replaces the previous one
+const notificationId = (conversationId) => `conversation:${conversationId}`;
+
+// AsyncStorage key of the last notification tap that was handled
+const HANDLED_RESPONSE_KEY = 'handledNotificationResponse';
+// The same tap, kept in memory for sign-ins within one launch
+let handledResponse = null;
+
+// Notifications of a conversation share their identifier, so the delivery time tells taps apart
+const responseKey = (response) => `${response.notification.request.identifier}@${response.notification.date}`;
+
+// Ask for notification permission (and set up the Android channel)
+// Returns whether notifications may be shown
+export const requestNotificationPermission = async () => {
+  if (Platform.OS === 'android') {
+    await Notifications.setNotificationChannelAsync(CHANNEL_ID, {
+      name: 'Messages',
+      importance: Notifications.AndroidImportance.HIGH,
+    });
+  }
+
+  const current = await Notifications.getPermissionsAsync();
+  if (current.granted) return true;
+  const requested = await Notifications.requestPermissionsAsync();
+  return requested.granted;
+};
+
+// Show (or replace) the notification of a conversation that received a message
+// The body shows the latest message (unless previews are off) and how many are unread
+export const notifyIncomingMessage = async (conversation, email, { showPreview }) => {
+  const { lastMessage } = conversation;
+  const unread = conversation.unread?.[email] || 1;
+
+  let body = unread > 1 ? `${unread} new messages` : 'New message';
+  if (showPreview) {
+    const latest = conversation.isGroup ? `${lastMessage.senderName}: ${lastMessage.text}` : lastMessage.text;
+    body = unread > 1 ? `${latest} (${unread} new messages)` : latest;
+  }
+
+  await Notifications.scheduleNotificationAsync({
+    identifier: notificationId(conversation.id),
+    content: {
+      title: conversation.isGroup ? conversation.name : lastMessage.senderName,
+      body,
+      // Enough of the conversation to open it from the notification
+      data: {
+        conversation: {
+          id: conversation.id,
+          isGroup: Boolean(conversation.isGroup),
+          participants: conversation.participants,
+        },
+      },
+    },
+    trigger: Platform.OS === 'android' ? { channelId: CHANNEL_ID } : null,
+  });
+};
+
+// Remove a conversation's notification once it is opened
+export const dismissConversationNotification = (conversationId) =>
+  Notifications.dismissNotificationAsync(notificationId(conversationId))
+    .catch((error) => console.error('Error dismissing notification:', error));
+
+// Open the conversation of a tapped notification; returns the unsubscribe function
+// Each tap opens its conversation only once, even though the last one is reported again
+// after signing out and in, or on a later launch
+export const startNotificationResponses = (email) => {
+  const open = (response) => {
+    const conversation = response?.notification.request.content.data?.conversation;
+    if (!conversation || responseKey(response) === handledResponse) return;
+    handledResponse = responseKey(response);
+    AsyncStorage.setItem(HANDLED_RESPONSE_KEY, handledResponse)
+      .catch((error) => console.error('Error saving notification response:', error));
+    openConversation(conversation, email);
+  };
+
+  // The app may have been opened by tapping a notification
+  const openLastResponse = async () => {
+    const response = await Notifications.getLastNotificationResponseAsync();
+    if (!response) return;
+    if (!handledResponse) handledResponse = await AsyncStorage.getItem(HANDLED_RESPONSE_KEY);
+    open(response);
+  };
+  openLastResponse().catch((error) => console.error('Error reading notification response:', error));
+
+  const subscription = Notifications.addNotificationResponseReceivedListener(open);
+  return () => subscription.remove();
+};
@@ -0,0 +1,139 @@
+// Offline outbox for outgoing chat messages
+// Messages are persisted locally before being written to Firestore, so nothing is lost
+// when the device is offline or the app is closed before the write completes
+import AsyncStorage from '@react-native-async-storage/async-storage';
+// Import NetInfo to retry pending messages when connectivity returns
+import NetInfo from '@react-native-community/netinfo';
+// Import Firestore write helper for conversation messages
+import { sendMessage } from './conversations';
+
+// Number of failed attempts before a message is marked as failed and needs a manual retry
+const MAX_ATTEMPTS = 3;
+
+// In-memory copy of the outbox for the signed-in user
+// Each entry: { conversationId, participants, message, status: 'pending' | 'failed', attempts }
+let entries = [];
+// AsyncStorage key of the signed-in user's outbox (null when stopped)
+let storageKey = null;
+// IDs of messages with a write currently in progress
+const inFlight = new Set();
+// Components subscribed to outbox changes
+const listeners = new Set();
+
+// Dates are stored as ISO strings in AsyncStorage; restore them when loading
+const deserializeEntry = (entry) => ({
+  ...entry,
+  message: { ...entry.message, createdAt: new Date(entry.message.createdAt) },
+});
+
+// Persist the outbox and notify subscribers
+const setEntries = async (nextEntries) => {
+  entries = nextEntries;
+  listeners.forEach((listener) => listener(entries));
+
+  if (!storageKey) return;
+  try {
+    await AsyncStorage.setItem(storageKey, JSON.stringify(entries));
+  } catch (error) {
+    console.error('Error saving outbox:', error);
+  }
+};
+
+const updateEntry = (id, changes) =>
+  setEntries(entries.map((entry) => (entry.message._id === id ? { ...entry, ...changes } : entry)));
+
+// Try to write one message to Firestore
+// While offline, Firestore keeps the write queued and resolves once it reaches the server
+const attemptSend = async (entry) => {
+  const id = entry.message._id;
+  if (inFlight.has(id)) return;
+
+  inFlight.add(id);
+  try {
+    await sendMessage(entry.conversationId, entry.participants, entry.message);
+    await setEntries(entries.filter((item) => item.message._id !== id));
+  } catch (error) {
+    console.error('Error sending message:', error);
+    const attempts = entry.attempts + 1;
+    await updateEntry(id, {
+      attempts,
+      status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+    });
+  } finally {
+    inFlight.delete(id);
+  }
+};
+
+// Retry every pending (not failed) message
+const flushOutbox = () => {
+  entries
+    .filter((entry) => entry.status === 'pending')
+    .forEach(attemptSend);
+};
+
+// Add a message to the outbox and try to send it right away
+// The message shows immediately in ChatScreen with a pending state
+export const queueMessage = async (conversationId, participants, message) => {
+  const entry = { conversationId, participants, message, status: 'pending', attempts: 0 };
+  await setEntries([...entries, entry]);
+  attemptSend(entry);
+};
+
+// Manually retry a failed message (tap-to-retry in the bubble)
+export const retryMessage = async (id) => {
+  await updateEntry(id, { status: 'pending', attempts: 0 });
+  const entry = entries.find((item) => item.message._id === id);
+  if (entry) attemptSend(entry);
+};
+
+// Drop a failed message from the outbox without sending it
+export const discardMessage = (id) =>
+  setEntries(entries.filter((entry) => entry.message._id !== id));
+
+// Subscribe to outbox changes; the listener is called immediately with the current entries
+// Returns an unsubscribe function
+export const subscribeOutbox = (listener) => {
+  listeners.add(listener);
+  listener(entries);
+  return () => listeners.delete(listener);
+};
+
+// Load the user's outbox, resend what is pending and retry whenever connectivity returns
+// Called from App.js once the user is signed in; returns a function that stops the outbox
+export const startOutbox = (email) => {
+  storageKey = `outbox:${email}`;
+  const key = storageKey;
+
+  const load = async () => {
+    try {
+      const saved = await AsyncStorage.getItem(key);
+      // Ignore the result if the user signed out while loading
+      if (storageKey !== key) return;
+      // Messages queued while loading are already in memory and take precedence over their saved copy;
+      // the merged list is saved again so neither side is lost
+      const savedEntries = saved ? JSON.parse(saved).map(deserializeEntry) : [];
+      const queuedIds = new Set(entries.map((entry) => entry.message._id));
+      await setEntries([
+        ...savedEntries.filter((entry) => !queuedIds.has(entry.message._id) && !inFlight.has(entry.message._id)),
+        ...entries,
+      ]);
+      flushOutbox();
+    } catch (error) {
+      console.error('Error loading outbox:', error);
+    }
+  };
+  load();
+
+  const unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+    if (state.isConnected && state.isInternetReachable !== false) {
+      flushOutbox();
+    }
+  });
+
+  return () => {
+    unsubscribeNetInfo();
+    storageKey = null;
+    entries = [];
+    listeners.forEach((listener) => listener(entries));
+  };
+};
@@ -0,0 +1,108 @@
+// Online presence and "last seen" tracking
+// Each user has a presence/{email} document updated on sign-in, foreground/background changes and sign-out
+import { AppState } from 'react-native';
+// Import Firestore functions for presence documents
+import { doc, setDoc, onSnapshot, serverTimestamp } from 'firebase/firestore';
+// Import Firebase instances
+import { auth, db } from './firebase';
+
+// Heartbeat interval while the app is in the foreground
+const HEARTBEAT_MS = 60 * 1000;
+// A user marked online without a heartbeat for this long is treated as offline
+// (covers the app being killed before it could record going offline)
+const STALE_AFTER_MS = 2 * HEARTBEAT_MS + 30 * 1000;
+
+// Longest wait for the offline state to be saved before signing out anyway
+const OFFLINE_WRITE_TIMEOUT_MS = 2000;
+
+const presenceDoc = (email) => doc(db, 'presence', email);
+
+// Record the user's online state together with the time it was last seen
+const writePresence = (email, online) =>
+  setDoc(presenceDoc(email), { email, online, lastSeen: serverTimestamp() }, { merge: true })
+    .catch((error) => console.error('Error updating presence:', error));
+
+// Mark the user offline; call before signing out while writes are still authorized
+// Firestore writes only resolve once the server confirms them, so without a connection
+// this gives up after OFFLINE_WRITE_TIMEOUT_MS instead of holding up the sign-out
+export const goOffline = (email) => Promise.race([
+  writePresence(email, false),
+  new Promise((resolve) => setTimeout(resolve, OFFLINE_WRITE_TIMEOUT_MS)),
+]);
+
+// Start tracking presence for the signed-in user
+// Called from useAuthentication; returns a function that stops tracking
+export const startPresence = (email) => {
+  let heartbeat = null;
+
+  const goOnline = () => {
+    writePresence(email, true);
+    clearInterval(heartbeat);
+    heartbeat = setInterval(() => writePresence(email, true), HEARTBEAT_MS);
+  };
+
+  const goAway = () => {
+    clearInterval(heartbeat);
+    writePresence(email, false);
+  };
+
+  if (AppState.currentState === 'active') goOnline();
+
+  const subscription = AppState.addEventListener('change', (state) => {
+    if (state === 'active') {
+      goOnline();
+    } else if (state === 'background') {
+      goAway();
+    }
+  });
+
+  return () => {
+    subscription.remove();
+    clearInterval(heartbeat);
+    // After sign-out the write would be rejected; goOffline already ran in that case
+    if (auth.currentUser?.email === email) writePresence(email, false);
+  };
+};
+
+// Convert a presence document into { online, lastSeen }
+const toPresence = (data) => {
+  const lastSeen = data?.lastSeen?.toDate ? data.lastSeen.toDate() : null;
+  const fresh = lastSeen && Date.now() - lastSeen.getTime() < STALE_AFTER_MS;
+  return { online: Boolean(data?.online && fresh), lastSeen };
+};
+
+// Listen to one user's presence (ChatScreen header)
+export const subscribePresence = (email, callback) =>
+  onSnapshot(presenceDoc(email), (snapshot) => callback(toPresence(snapshot.data())), (error) => {
+    console.error('Error listening to presence:', error);
+  });
+
+// Listen to the presence of the given buddies (Buddies list); callback receives { [email]: presence }
+// Only buddies' presence is readable (firestore.rules), one document listener each
+export const subscribeBuddiesPresence = (emails, callback) => {
+  const presenceByEmail = {};
+
+  const unsubscribes = emails.map((email) =>
+    onSnapshot(presenceDoc(email), (snapshot) => {
+      presenceByEmail[email] = toPresence(snapshot.data());
+      callback({ ...presenceByEmail });
+    }, (error) => {
+      console.error('Error listening to presence:', error);
+    })
+  );
+  return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+};
+
+// Human-readable presence label: "online", "last seen 10:42" or "last seen 12/10 10:42"
+export const formatPresence = (presence) => {
+  if (!presence) return '';
+  if (presence.online) return 'online';
+  if (!presence.lastSeen) return '';
+
+  const time = presence.lastSeen.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', hour12: false });
+  const isToday = presence.lastSeen.toDateString() === new Date().toDateString();
+  if (isToday) return `last seen ${time}`;
+
+  const date = presence.lastSeen.toLocaleDateString('en-GB', { day: '2-digit', month: '2-digit' });
+  return `last seen ${date} ${time}`;
+};
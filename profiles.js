@@ -0,0 +1,154 @@
+// User profile documents
+// Profiles live in the "avatars" collection: one document per user, keyed by email
+// Fields: email, avatar, publicKey, and the editable displayName, handle, bio, status and showEmail
+// Handles are reserved in the "handles" collection: one document per handle, { email } of its owner
+// Profiles are only read one by one (by email, or by handle through its reservation):
+// firestore.rules don't let anyone list other users' profiles
+import { collection, query, where, getDocs, getDoc, setDoc, deleteDoc, doc, onSnapshot, runTransaction } from 'firebase/firestore';
+// Import AsyncStorage to remember that the profile was moved to its email key on this device
+import AsyncStorage from '@react-native-async-storage/async-storage';
+// Import Firestore database instance
+import { db } from './firebase';
+
+// Maximum lengths of the editable profile fields
+export const PROFILE_LIMITS = {
+  displayName: 40,
+  bio: 160,
+  status: 80,
+};
+
+// Handles: 3-20 lowercase letters, digits, "." or "_", typed with or without a leading "@"
+export const HANDLE_PATTERN = /^[a-z0-9._]{3,20}$/;
+
+// Lowercase a typed handle and drop its "@"
+export const normalizeHandle = (handle) => handle.trim().replace(/^@/, '').toLowerCase();
+
+// Profile document of a user
+const profileDoc = (email) => doc(db, 'avatars', email);
+
+// Fetch a user's profile document (null when the user has none yet)
+export const findProfile = async (email) => {
+  const snapshot = await getDoc(profileDoc(email));
+  return snapshot.exists() ? snapshot : null;
+};
+
+// Reservation document of a handle
+const handleDoc = (handle) => doc(db, 'handles', handle);
+
+// Error with a code, so screens can tell expected failures from unexpected ones
+const profileError = (code, message) => Object.assign(new Error(message), { code });
+
+// Fetch the profile document with the given handle (null when nobody uses it)
+export const findProfileByHandle = async (handle) => {
+  const normalized = normalizeHandle(handle);
+  if (!HANDLE_PATTERN.test(normalized)) return null;
+  const reservation = await getDoc(handleDoc(normalized));
+  return reservation.exists() ? findProfile(reservation.data().email) : null;
+};
+
+// Fetch the profiles of a list of users; resolves to [{ id, ...profile data }]
+// Users without a profile document are left out
+export const fetchProfiles = async (emails) => {
+  const snapshots = await Promise.all(emails.map((email) => getDoc(profileDoc(email))));
+  return snapshots
+    .filter((profileSnapshot) => profileSnapshot.exists())
+    .map((profileSnapshot) => ({ id: profileSnapshot.id, ...profileSnapshot.data() }));
+};
+
+// Merge fields into the user's profile, creating the document on first use
+export const updateProfile = (email, fields) =>
+  setDoc(profileDoc(email), { email, ...fields }, { merge: true });
+
+// Save the editable profile details, including the handle ('' for none)
+// The new handle is reserved and the previous one released in the same transaction,
+// so two users can never end up with the same handle (also enforced in firestore.rules)
+// Rejects with code profiles/handle-taken when another user owns the handle
+export const saveProfileDetails = async (email, fields) => {
+  await runTransaction(db, async (transaction) => {
+    const profile = await transaction.get(profileDoc(email));
+    const previousHandle = profile.data()?.handle || '';
+    const reservation = fields.handle ? await transaction.get(handleDoc(fields.handle)) : null;
+    const previousReservation = previousHandle && previousHandle !== fields.handle
+      ? await transaction.get(handleDoc(previousHandle))
+      : null;
+
+    if (reservation?.exists() && reservation.data().email !== email) {
+      throw profileError('profiles/handle-taken', `@${fields.handle} is already used by someone else.`);
+    }
+
+    if (reservation && !reservation.exists()) {
+      transaction.set(handleDoc(fields.handle), { email });
+    }
+    if (previousReservation?.exists() && previousReservation.data().email === email) {
+      transaction.delete(handleDoc(previousHandle));
+    }
+    transaction.set(profileDoc(email), { email, ...fields }, { merge: true });
+  });
+};
+
+// One-off move of the user's profile from its generated document ID to the email key
+// Fields already saved under the email (e.g. the public key published at sign-in) are newer and kept;
+// the handle is reserved on the way, or dropped when another user reserved it first
+export const migrateProfile = async (email) => {
+  const flagKey = `profileMigrated:${email}`;
+
+  try {
+    if (await AsyncStorage.getItem(flagKey)) return;
+
+    // Listing is allowed for the user's own profiles only
+    const snapshot = await getDocs(query(collection(db, 'avatars'), where('email', '==', email)));
+    for (const legacyDoc of snapshot.docs) {
+      if (legacyDoc.id === email) continue;
+
+      const { handle, ...legacyFields } = legacyDoc.data();
+      const current = (await findProfile(email))?.data() || {};
+      const missingFields = Object.fromEntries(
+        Object.entries(legacyFields).filter(([field]) => current[field] === undefined)
+      );
+      await updateProfile(email, missingFields);
+
+      if (handle && current.handle === undefined) {
+        try {
+          await saveProfileDetails(email, { handle });
+        } catch (error) {
+          if (error.code !== 'profiles/handle-taken') throw error;
+        }
+      }
+      await deleteDoc(legacyDoc.ref);
+    }
+
+    await AsyncStorage.setItem(flagKey, 'done');
+  } catch (error) {
+    // Leave the flag unset so the migration is retried on next launch
+    console.error('Error migrating profile:', error);
+  }
+};
+
+// Listen to the profiles of the given users; callback receives { [email]: profile data }
+// Each profile is its own document listener; returns the unsubscribe function
+// (screens use it through useProfiles)
+export const subscribeProfiles = (emails, callback) => {
+  const profilesByEmail = {};
+
+  const unsubscribes = emails.map((email) =>
+    onSnapshot(profileDoc(email), (snapshot) => {
+      if (snapshot.exists()) {
+        profilesByEmail[email] = snapshot.data();
+      } else {
+        delete profilesByEmail[email];
+      }
+      callback({ ...profilesByEmail });
+    }, (error) => {
+      console.error('Error listening to profiles:', error);
+    })
+  );
+  return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+};
+
+// Name shown for a user: their display name, or the part of the email before the "@"
+// Email addresses stay hidden unless the user turned on showEmail
+export const displayNameOf = (profile, email) =>
+  profile?.displayName?.trim() || (email ? email.split('@')[0] : '');
+
+// Email shown under a user's name, or null when they keep it private
+export const visibleEmailOf = (profile) => (profile?.showEmail ? profile.email : null);
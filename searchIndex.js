@@ -0,0 +1,210 @@
+// Local full-text search over the user's messages in every conversation
+// Messages are cached in AsyncStorage so searching is instant and works offline;
+// syncSearchIndex only downloads messages created, edited or deleted since the last sync
+import AsyncStorage from '@react-native-async-storage/async-storage';
+// Import Firestore functions for the incremental sync
+import { collection, query, where, getDocs, orderBy, limit, startAfter } from 'firebase/firestore';
+// Import Firestore database instance
+import { db } from './firebase';
+// Import messages subcollection reference
+import { messagesCollection } from './conversations';
+// Import decryption so encrypted messages are indexed as plaintext (the index never leaves the device)
+import { decryptMessage, getOwnPublicKey } from './encryption';
+
+// Firestore documents fetched per sync request
+const SYNC_PAGE_SIZE = 500;
+// Messages kept in the index; the oldest are dropped beyond this to keep the cache small
+const MAX_INDEXED_MESSAGES = 5000;
+// Results returned per search
+const MAX_RESULTS = 200;
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 30;
+// Timestamps come from the sender's clock: re-check a margin before the last sync
+// so messages from a device whose clock runs slightly behind are not missed
+const SYNC_OVERLAP_MS = 5 * 60 * 1000;
+
+const indexKey = (email) => `searchIndex:${email}`;
+
+// Parsed index of the signed-in user, kept in memory between searches
+let cached = { email: null, index: null };
+
+const emptyIndex = () => ({ lastSyncedAt: 0, conversations: {}, messages: {} });
+
+const loadIndex = async (email) => {
+  if (cached.email === email && cached.index) return cached.index;
+  const stored = await AsyncStorage.getItem(indexKey(email));
+  const index = stored ? JSON.parse(stored) : emptyIndex();
+  cached = { email, index };
+  return index;
+};
+
+const saveIndex = async (email, index) => {
+  cached = { email, index };
+  await AsyncStorage.setItem(indexKey(email), JSON.stringify(index));
+};
+
+// Milliseconds from a Firestore timestamp (or Date)
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : new Date(value || 0).getTime());
+
+// Searchable text of a message: its text, or the file name of a file attachment
+const searchableText = (data) => data.text || (data.attachment?.type === 'file' ? data.attachment.name : '');
+
+// Title shown for a conversation in the results: group name or notes to self
+// 1:1 conversations keep only the buddy's email; SearchScreen shows their display name instead
+const describeConversation = (data, email) => {
+  if (data.isGroup) {
+    return { isGroup: true, title: data.name || 'Group' };
+  }
+  const buddy = (data.participants || []).find((participant) => participant !== email) || email;
+  return { isGroup: false, buddy, title: buddy === email ? 'Notes to self' : null };
+};
+
+// Fetch every message of a conversation whose timestamp field is newer than `since`
+const fetchChangedMessages = async (conversationId, field, since) => {
+  const documents = [];
+  let cursor = null;
+
+  for (;;) {
+    const constraints = [where(field, '>', new Date(since)), orderBy(field), limit(SYNC_PAGE_SIZE)];
+    if (cursor) constraints.push(startAfter(cursor));
+    const snapshot = await getDocs(query(messagesCollection(conversationId), ...constraints));
+    documents.push(...snapshot.docs);
+    if (snapshot.size < SYNC_PAGE_SIZE) return documents;
+    cursor = snapshot.docs[snapshot.docs.length - 1];
+  }
+};
+
+// Bring the local index up to date with Firestore
+// New, edited and deleted messages since the last sync are applied; conversations the user left are dropped
+// Nothing is synced before the key pair is loaded, as encrypted messages couldn't be read yet;
+// resolves to false in that case (subscribeKeyPair tells when to try again)
+export const syncSearchIndex = async (email) => {
+  if (!getOwnPublicKey()) return false;
+  const index = await loadIndex(email);
+  const syncStartedAt = Date.now();
+  const since = Math.max(index.lastSyncedAt - SYNC_OVERLAP_MS, 0);
+
+  const conversationsSnapshot = await getDocs(query(
+    collection(db, 'conversations'),
+    where('participants', 'array-contains', email)
+  ));
+
+  const conversations = {};
+  conversationsSnapshot.docs.forEach((conversation) => {
+    conversations[conversation.id] = describeConversation(conversation.data(), email);
+  });
+
+  // Drop messages of conversations the user no longer belongs to
+  const messages = {};
+  Object.entries(index.messages).forEach(([key, message]) => {
+    if (conversations[message.conversationId]) messages[key] = message;
+  });
+
+  for (const conversationId of Object.keys(conversations)) {
+    // New messages plus edits and deletions of older ones
+    const changed = [
+      ...await fetchChangedMessages(conversationId, 'createdAt', since),
+      ...await fetchChangedMessages(conversationId, 'editedAt', since),
+      ...await fetchChangedMessages(conversationId, 'deletedAt', since),
+    ];
+
+    changed.forEach((messageDoc) => {
+      const data = decryptMessage(messageDoc.data());
+      const key = `${conversationId}/${messageDoc.id}`;
+      // Encrypted for a previous key of this user: unreadable here, so leave the index as it is
+      if (data.decryptionFailed && !data.deleted) return;
+      const text = searchableText(data);
+      if (data.deleted || !text) {
+        delete messages[key];
+        return;
+      }
+      messages[key] = {
+        _id: messageDoc.id,
+        conversationId,
+        text,
+        senderId: data.user?._id || data.user,
+        createdAt: toMillis(data.createdAt),
+      };
+    });
+  }
+
+  // Keep only the newest messages when the index grows past its limit
+  const kept = Object.entries(messages)
+    .sort(([, a], [, b]) => b.createdAt - a.createdAt)
+    .slice(0, MAX_INDEXED_MESSAGES);
+
+  await saveIndex(email, {
+    lastSyncedAt: syncStartedAt,
+    conversations,
+    messages: Object.fromEntries(kept),
+  });
+  return true;
+};
+
+// Split a query into lowercase search terms
+export const toSearchTerms = (queryText) =>
+  queryText.toLowerCase().split(/\s+/).filter(Boolean);
+
+// Search the local index
+// Every term must appear in a message (case-insensitive); results are grouped by conversation,
+// newest first: [{ conversationId, title, isGroup, buddy, data: [message] }]
+export const searchMessages = async (email, queryText) => {
+  const terms = toSearchTerms(queryText);
+  if (terms.length === 0) return [];
+
+  const index = await loadIndex(email);
+  const hits = Object.values(index.messages)
+    .filter((message) => {
+      const text = message.text.toLowerCase();
+      return terms.every((term) => text.includes(term));
+    })
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, MAX_RESULTS);
+
+  const sections = {};
+  hits.forEach((message) => {
+    if (!sections[message.conversationId]) {
+      sections[message.conversationId] = {
+        conversationId: message.conversationId,
+        ...index.conversations[message.conversationId],
+        data: [],
+      };
+    }
+    sections[message.conversationId].data.push(message);
+  });
+
+  // Hits are sorted newest first, so sections come out ordered by their newest hit
+  return Object.values(sections);
+};
+
+// Cut a message down to the text around its first match and mark the matched parts
+// Returns [{ text, match }] segments for rendering with highlighted matches
+export const buildSnippet = (text, terms) => {
+  const lower = text.toLowerCase();
+  const firstMatch = Math.min(...terms.map((term) => lower.indexOf(term)).filter((position) => position >= 0));
+
+  const start = Number.isFinite(firstMatch) ? Math.max(firstMatch - SNIPPET_CONTEXT, 0) : 0;
+  const snippet = (start > 0 ? '…' : '') + text.slice(start).replace(/\s+/g, ' ');
+  const snippetLower = snippet.toLowerCase();
+
+  // Mark every character covered by any term, then merge runs into segments
+  const marked = new Array(snippet.length).fill(false);
+  terms.forEach((term) => {
+    let position = snippetLower.indexOf(term);
+    while (position >= 0) {
+      marked.fill(true, position, position + term.length);
+      position = snippetLower.indexOf(term, position + term.length);
+    }
+  });
+
+  const segments = [];
+  for (let i = 0; i < snippet.length; i++) {
+    const last = segments[segments.length - 1];
+    if (last && last.match === marked[i]) {
+      last.text += snippet[i];
+    } else {
+      segments.push({ text: snippet[i], match: marked[i] });
+    }
+  }
+  return segments;
+};
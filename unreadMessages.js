@@ -0,0 +1,40 @@
+// Global unread tracking for the signed-in user
+// Sums the unread counters of every conversation (Chat tab badge) and reports messages
+// that arrive in conversations other than the one on screen (in-app banners)
+import { subscribeInbox } from './conversations';
+
+// Conversation currently open and visible in ChatScreen (no banners for it)
+let activeConversationId = null;
+
+// Called by ChatScreen while a conversation is focused, and with null when it is left
+export const setActiveConversation = (conversationId) => {
+  activeConversationId = conversationId;
+};
+
+// Start listening to the user's conversations; returns the unsubscribe function
+// - onTotalChange(total): total unread messages across all conversations
+// - onIncomingMessage(conversation): a conversation not on screen received a new message from someone else
+export const startUnreadListener = (email, { onTotalChange, onIncomingMessage }) => {
+  // Last message ID per conversation from the previous snapshot (null until the first one)
+  let lastMessageIds = null;
+
+  return subscribeInbox(email, (conversations) => {
+    onTotalChange(conversations.reduce((total, conversation) => total + (conversation.unread?.[email] || 0), 0));
+
+    const previous = lastMessageIds;
+    lastMessageIds = new Map(conversations.map((conversation) => [conversation.id, conversation.lastMessage._id]));
+
+    // Messages already there when the listener starts are not announced
+    if (!previous) return;
+
+    conversations.forEach((conversation) => {
+      if (
+        conversation.lastMessage._id !== previous.get(conversation.id) &&
+        conversation.lastMessage.senderId !== email &&
+        conversation.id !== activeConversationId
+      ) {
+        onIncomingMessage(conversation);
+      }
+    });
+  });
+};
@@ -0,0 +1,73 @@
+// Firebase Storage upload helpers shared by profile pictures, group pictures and chat attachments
+import { ref, uploadBytes, uploadBytesResumable, getDownloadURL } from 'firebase/storage';
+// Import NetInfo to pause resumable uploads while offline
+import NetInfo from '@react-native-community/netinfo';
+// Import Firebase Storage instance
+import { storage } from './firebase';
+
+// Upload a local image to Firebase Storage
+// Returns the publicly accessible download URL for storing in Firestore
+export const uploadImage = async (uri, folder) => {
+  // Convert image URI to Blob format required by Firebase Storage
+  const response = await fetch(uri);
+  const blob = await response.blob();
+
+  // Create unique storage path using timestamp to avoid filename conflicts
+  const storageRef = ref(storage, `${folder}/${new Date().getTime()}.jpg`);
+
+  // Upload the blob to Firebase Storage
+  await uploadBytes(storageRef, blob);
+
+  // Get the publicly accessible URL of the uploaded image
+  return getDownloadURL(storageRef);
+};
+
+// Start a resumable upload of a local file to the given Storage path
+// onProgress receives a fraction between 0 and 1
+// Returns { promise, cancel }: the promise resolves with the download URL and rejects
+// with code "storage/canceled" after cancel() or with the Storage error on failure
+// The upload pauses while the device is offline and resumes when connectivity returns
+export const startUpload = (uri, path, { contentType, onProgress } = {}) => {
+  let task = null;
+  let canceled = false;
+  let unsubscribeNetInfo = () => {};
+
+  const promise = (async () => {
+    const response = await fetch(uri);
+    const blob = await response.blob();
+    if (canceled) {
+      throw Object.assign(new Error('Upload canceled'), { code: 'storage/canceled' });
+    }
+
+    const storageRef = ref(storage, path);
+    task = uploadBytesResumable(storageRef, blob, contentType ? { contentType } : undefined);
+
+    unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+      if (state.isConnected === false) {
+        task.pause();
+      } else if (state.isConnected) {
+        task.resume();
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      task.on('state_changed', (snapshot) => {
+        if (onProgress && snapshot.totalBytes > 0) {
+          onProgress(snapshot.bytesTransferred / snapshot.totalBytes);
+        }
+      }, reject, resolve);
+    });
+
+    return getDownloadURL(storageRef);
+  })();
+
+  // Always stop watching connectivity once the upload settles
+  promise.finally(() => unsubscribeNetInfo()).catch(() => {});
+
+  const cancel = () => {
+    canceled = true;
+    if (task) task.cancel();
+  };
+
+  return { promise, cancel };
+};
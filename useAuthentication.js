@@ -1,38 +1,109 @@
 // Custom React hook for managing authentication state
 // Listens to Firebase auth changes and provides current user information
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 
 // Import Firebase auth state listener
 import { onAuthStateChanged } from "@firebase/auth";
 
-// Import Firebase auth instance
-import {auth} from "./firebase";
+// Import Firestore functions for registering accounts that predate email verification
+import { doc, getDoc, setDoc, serverTimestamp } from "firebase/firestore";
 
-// Hook that returns the currently authenticated user
-// Used in App.js to determine which navigation stack to show
+// Import AsyncStorage to remember the registration for offline starts
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+// Import Firebase auth and database instances
+import {auth, db} from "./firebase";
+
+// Import presence tracking (online status and last seen)
+import {startPresence} from "./presence";
+
+// Accounts created before this date keep working without verifying their email
+// Keep in step with verificationCutoff() in firestore.rules
+const VERIFICATION_CUTOFF = Date.UTC(2026, 11, 1);
+
+// Whether an unverified account is exempt from verification: created before the cutoff and
+// registered in "legacyAccounts". The rules can't see when an account was created, so they only
+// accept that registration before the cutoff; older accounts that first open the app later verify like new ones
+const isLegacyAccount = async (user)=>{
+	if(!(Date.parse(user.metadata.creationTime) < VERIFICATION_CUTOFF)) return false;
+	const flagKey = `legacyAccount:${user.email}`;
+	try {
+		if(await AsyncStorage.getItem(flagKey)) return true;
+		const marker = doc(db, "legacyAccounts", user.email);
+		if(!(await getDoc(marker)).exists()){
+			await setDoc(marker, {registeredAt: serverTimestamp()});
+		}
+		await AsyncStorage.setItem(flagKey, "done");
+		return true;
+	} catch (error) {
+		console.error("Error registering legacy account:", error);
+		return false;
+	}
+};
+
+// Hook that returns the currently authenticated user and whether their email is verified
+// (or exempt from verification, see isLegacyAccount)
+// Used in App.js to determine which navigation stack to show: a splash while initializing,
+// then the auth screens, VerifyEmailScreen for unverified users, or the main app
+// reload() refreshes the account from Firebase after the user clicked the link in the verification email
 export default function useAuthentication() {
 	// State to store current user object (null if not logged in)
 	const [user, setUser] = useState(null);
+	// Kept apart from the user object: reload() updates the same object in place,
+	// so a separate value is needed to re-render
+	const [emailVerified, setEmailVerified] = useState(false);
+	// Unverified account created before verification was required
+	const [verificationExempt, setVerificationExempt] = useState(false);
+	// True until Firebase has restored the persisted session (or found none) on app start
+	const [initializing, setInitializing] = useState(true);
 
 	// Set up authentication state listener on component mount
 	useEffect(()=>{
 		// Subscribe to authentication state changes
 		// This fires whenever user logs in, logs out, or on app start
-		const unsub = onAuthStateChanged(auth, user=>{
-			console.log("User details \n",user);
+		const unsub = onAuthStateChanged(auth, async user=>{
 			if(user){
+				// Checked before the user is stored, so older accounts never see the verify email screen
+				const exempt = !user.emailVerified && await isLegacyAccount(user);
+				// Ignore the result if the user signed out or switched accounts meanwhile
+				if(auth.currentUser !== user) return;
 				// User is signed in, store user object
 				setUser(user);
+				setEmailVerified(user.emailVerified);
+				setVerificationExempt(exempt);
 			} else {
 				// User is signed out, clear user state
 				setUser(null);
+				setEmailVerified(false);
+				setVerificationExempt(false);
 			}
-		})
+			setInitializing(false);
+		});
 		
 		// Cleanup: Unsubscribe from listener when component unmounts
-		// (Note: Currently missing return statement for cleanup)
+		return unsub;
 	},[]);
+
+	// Re-read the account to pick up a completed email verification
+	// The ID token is refreshed too, so Firestore rules see the verified email right away
+	const reload = useCallback(async ()=>{
+		if(!auth.currentUser) return false;
+		await auth.currentUser.reload();
+		if(auth.currentUser.emailVerified){
+			await auth.currentUser.getIdToken(true);
+		}
+		setEmailVerified(auth.currentUser.emailVerified);
+		return auth.currentUser.emailVerified;
+	},[]);
+
+	// Track online presence while a verified (or exempt) user is signed in
+	// Presence follows the app's foreground/background state until sign-out
+	const canUseApp = emailVerified || verificationExempt;
+	useEffect(()=>{
+		if(!user?.email || !canUseApp) return;
+		return startPresence(user.email);
+	},[user?.email, canUseApp]);
 	
-	// Return user object for consumption by components
-	return {user};
+	// Return user object, loading and verification state and refresh for consumption by components
+	return {user, initializing, emailVerified, verificationExempt, reload};
 }
\ No newline at end of file
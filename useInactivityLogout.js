@@ -0,0 +1,92 @@
+// Custom React hook for the optional inactivity auto-logout (Settings > Auto Logout)
+// Signs the user out after a chosen time without touching the app, including time spent in the background
+// or with the app closed (the last activity is saved when the app leaves the foreground)
+import { useEffect, useCallback, useRef } from 'react';
+// Import AppState to check the idle time when the app comes back and save it when it leaves
+import { AppState, Alert } from 'react-native';
+// Import AsyncStorage to remember the last activity across app restarts
+import AsyncStorage from '@react-native-async-storage/async-storage';
+// Import Firebase sign out
+import { signOut } from 'firebase/auth';
+// Import Firebase auth instance
+import { auth } from './firebase';
+// Import presence so the user shows as offline before signing out
+import { goOffline } from './presence';
+
+// Choices offered in Settings, in minutes (0 turns auto-logout off)
+export const AUTO_LOGOUT_OPTIONS = [
+  { minutes: 0, label: 'Off' },
+  { minutes: 5, label: '5 min' },
+  { minutes: 15, label: '15 min' },
+  { minutes: 30, label: '30 min' },
+  { minutes: 60, label: '1 hour' },
+];
+
+// How often the idle time is checked while the app is open
+const CHECK_INTERVAL_MS = 30000;
+
+// AsyncStorage key holding the time of the user's last activity
+const lastActiveKey = (email) => `lastActive:${email}`;
+
+// Hook used by App.js for the signed-in user
+// Returns a handler to call on every touch, which counts as activity
+export default function useInactivityLogout(email, timeoutMinutes) {
+  const lastActivityRef = useRef(Date.now());
+  const timeoutMs = timeoutMinutes * 60 * 1000;
+
+  const markActivity = useCallback(() => {
+    lastActivityRef.current = Date.now();
+  }, []);
+
+  useEffect(() => {
+    if (!email || !timeoutMs) return;
+    lastActivityRef.current = Date.now();
+    let signedOut = false;
+
+    // Sign out once the idle time passes the limit
+    const logoutIfIdle = async () => {
+      if (signedOut || Date.now() - lastActivityRef.current < timeoutMs) return;
+      signedOut = true;
+      AsyncStorage.removeItem(lastActiveKey(email)).catch(() => {});
+      // goOffline gives up after a short timeout, so an offline device still signs out
+      await goOffline(email);
+      try {
+        await signOut(auth);
+        Alert.alert('Signed Out', `You were signed out after ${timeoutMinutes} minutes of inactivity.`);
+      } catch (error) {
+        // Try again on the next check
+        console.log('Error logging out: ', error);
+        signedOut = false;
+      }
+    };
+
+    // On start, pick up the activity saved before the app was last closed
+    // Values older than the last sign-in belong to an earlier session and are ignored
+    const signedInAt = Date.parse(auth.currentUser?.metadata?.lastSignInTime) || 0;
+    AsyncStorage.getItem(lastActiveKey(email))
+      .then((saved) => {
+        if (saved && Number(saved) > signedInAt) {
+          lastActivityRef.current = Math.min(lastActivityRef.current, Number(saved));
+          logoutIfIdle();
+        }
+      })
+      .catch((error) => console.error('Error reading last activity:', error));
+
+    const interval = setInterval(logoutIfIdle, CHECK_INTERVAL_MS);
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        logoutIfIdle();
+      } else {
+        AsyncStorage.setItem(lastActiveKey(email), String(lastActivityRef.current))
+          .catch((error) => console.error('Error saving last activity:', error));
+      }
+    });
+
+    return () => {
+      clearInterval(interval);
+      subscription.remove();
+    };
+  }, [email, timeoutMs, timeoutMinutes]);
+
+  return markActivity;
+}
@@ -0,0 +1,157 @@
+// Custom React hook for paginated, real-time conversation messages
+// Listens to the newest page live and pulls older pages on demand with Firestore cursors
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+// Import Firestore query builders for cursor-based pagination
+import { query, orderBy, limit, startAfter, onSnapshot } from 'firebase/firestore';
+// Import conversation path helper
+import { messagesCollection } from './conversations';
+// Import decryption of end-to-end encrypted messages
+import { decryptMessage, subscribeKeyPair } from './encryption';
+
+// Number of messages fetched per page (newest page on open, then each "load earlier")
+export const PAGE_SIZE = 30;
+
+// Convert a Firestore document into a GiftedChat message object
+// Messages copied from the legacy "chats" collection may store the sender as a plain email
+const toMessage = (docSnapshot) => {
+  const data = docSnapshot.data();
+  return {
+    id: docSnapshot.id,
+    ...data,
+    user: typeof data.user === 'string' ? { _id: data.user } : data.user,
+    // Convert Firestore timestamp to JavaScript Date object
+    createdAt: data.createdAt?.toDate ? data.createdAt.toDate() : new Date(),
+  };
+};
+
+// Hook that returns the messages of a conversation, newest first
+// Used in ChatScreen together with GiftedChat's loadEarlier/onLoadEarlier props
+export default function useMessages(conversationId) {
+  // Messages keyed by document ID so live updates and older pages merge without duplicates
+  const [messageMap, setMessageMap] = useState({});
+  // Whether Firestore may still hold messages older than the ones loaded
+  const [hasEarlier, setHasEarlier] = useState(false);
+  const [isLoadingEarlier, setIsLoadingEarlier] = useState(false);
+  // True until the newest page has arrived for the current conversation
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Oldest document loaded so far; used as the cursor for the next page
+  const oldestDocRef = useRef(null);
+  // Guards against firing overlapping "load earlier" requests
+  const loadingRef = useRef(false);
+  // Unsubscribe functions for the newest page and every older page listener
+  const listenersRef = useRef([]);
+
+  // Merge a snapshot into the message map
+  // "removed" changes are ignored: they fire when a message slides out of a page window,
+  // not only on deletion, and the message is still part of the loaded history
+  const applySnapshot = useCallback((snapshot) => {
+    setMessageMap((current) => {
+      const next = { ...current };
+      snapshot.docChanges().forEach((change) => {
+        if (change.type !== 'removed') {
+          next[change.doc.id] = toMessage(change.doc);
+        }
+      });
+      return next;
+    });
+  }, []);
+
+  // Subscribe to the newest page whenever the conversation changes
+  useEffect(() => {
+    // Reset pagination state for the new conversation
+    setMessageMap({});
+    setHasEarlier(false);
+    setIsLoadingEarlier(false);
+    setIsLoading(Boolean(conversationId));
+    oldestDocRef.current = null;
+    loadingRef.current = false;
+
+    if (!conversationId) return;
+
+    const newestPageQuery = query(
+      messagesCollection(conversationId),
+      orderBy('createdAt', 'desc'),
+      limit(PAGE_SIZE)
+    );
+
+    const unsubscribe = onSnapshot(newestPageQuery, (snapshot) => {
+      applySnapshot(snapshot);
+      setIsLoading(false);
+
+      // Set the cursor from the first non-empty snapshot only
+      // Later snapshots shift the window forward as new messages arrive
+      if (!oldestDocRef.current && !snapshot.empty) {
+        oldestDocRef.current = snapshot.docs[snapshot.docs.length - 1];
+        setHasEarlier(snapshot.size === PAGE_SIZE);
+      }
+    }, (error) => {
+      console.error('Error fetching messages:', error);
+      setIsLoading(false);
+    });
+    listenersRef.current.push(unsubscribe);
+
+    // Cleanup: Unsubscribe the newest page and all older page listeners
+    return () => {
+      listenersRef.current.forEach((unsub) => unsub());
+      listenersRef.current = [];
+    };
+  }, [conversationId, applySnapshot]);
+
+  // Load the page of messages just before the oldest one loaded
+  // Older pages stay subscribed so edits to them still arrive live
+  // Resolves with the number of messages fetched (0 when nothing older exists)
+  const loadEarlier = useCallback(() => {
+    if (!conversationId || !oldestDocRef.current || loadingRef.current) {
+      return Promise.resolve(0);
+    }
+
+    loadingRef.current = true;
+    setIsLoadingEarlier(true);
+
+    const olderPageQuery = query(
+      messagesCollection(conversationId),
+      orderBy('createdAt', 'desc'),
+      startAfter(oldestDocRef.current),
+      limit(PAGE_SIZE)
+    );
+
+    return new Promise((resolve) => {
+      let firstSnapshot = true;
+
+      const unsubscribe = onSnapshot(olderPageQuery, (snapshot) => {
+        applySnapshot(snapshot);
+
+        if (firstSnapshot) {
+          firstSnapshot = false;
+          if (!snapshot.empty) {
+            oldestDocRef.current = snapshot.docs[snapshot.docs.length - 1];
+          }
+          setHasEarlier(snapshot.size === PAGE_SIZE);
+          setIsLoadingEarlier(false);
+          loadingRef.current = false;
+          resolve(snapshot.size);
+        }
+      }, (error) => {
+        console.error('Error loading earlier messages:', error);
+        setIsLoadingEarlier(false);
+        loadingRef.current = false;
+        resolve(0);
+      });
+      listenersRef.current.push(unsubscribe);
+    });
+  }, [conversationId, applySnapshot]);
+
+  // Re-decrypt once the user's key pair is loaded (or cleared on sign-out)
+  const [keyVersion, setKeyVersion] = useState(0);
+  useEffect(() => subscribeKeyPair(() => setKeyVersion((version) => version + 1)), []);
+
+  // Decrypt end-to-end encrypted messages and sort newest first, as GiftedChat expects
+  const messages = useMemo(
+    () => Object.values(messageMap).map(decryptMessage).sort((a, b) => b.createdAt - a.createdAt),
+    // keyVersion changes what decryptMessage can read
+    [messageMap, keyVersion]
+  );
+
+  return { messages, hasEarlier, isLoading, isLoadingEarlier, loadEarlier };
+}
@@ -0,0 +1,23 @@
+// Custom React hook for the profiles of the users a screen shows
+// Listens only to the given emails (see subscribeProfiles), so names and avatars stay live
+// without downloading every user's profile
+import { useState, useEffect } from 'react';
+// Import profile listener
+import { subscribeProfiles } from './profiles';
+
+// Returns { [email]: profile data } for the given emails
+export default function useProfiles(emails) {
+  const [profiles, setProfiles] = useState({});
+  // Listen again only when the set of users changes, not for every new array (emails never contain ",")
+  const key = [...new Set(emails.filter(Boolean))].sort().join(',');
+
+  useEffect(() => {
+    if (!key) {
+      setProfiles({});
+      return;
+    }
+    return subscribeProfiles(key.split(','), setProfiles);
+  }, [key]);
+
+  return profiles;
+}
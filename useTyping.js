@@ -0,0 +1,116 @@
+// Custom React hook for the typing indicator of a conversation
+// Publishes a debounced, auto-expiring "typing" signal and reports which other participants are typing
+import { useState, useEffect, useCallback, useRef } from 'react';
+// Import AppState to clear the signal when the app goes to the background
+import { AppState } from 'react-native';
+// Import Firestore functions for the typing subcollection
+import { collection, doc, setDoc, deleteDoc, onSnapshot } from 'firebase/firestore';
+// Import Firestore database instance
+import { db } from './firebase';
+
+// How long a typing signal stays valid without being refreshed
+// Covers the case where the typist closes the app mid-sentence
+const TYPING_TTL_MS = 6000;
+// Minimum time between two writes while the user keeps typing
+const TYPING_REFRESH_MS = 3000;
+// Pause after the last keystroke before the signal is cleared
+const TYPING_IDLE_MS = 4000;
+
+// Typing signals live in conversations/{conversationId}/typing/{email}
+const typingCollection = (conversationId) =>
+  collection(db, 'conversations', conversationId, 'typing');
+
+// Hook used by ChatScreen: returns the emails of other participants currently typing
+// and a handler to pass to GiftedChat's onInputTextChanged
+export default function useTyping(conversationId, email) {
+  const [typingUsers, setTypingUsers] = useState([]);
+  // Time of the last published signal (0 when not published)
+  const lastPublishedRef = useRef(0);
+  // Timer clearing the signal after the user stops typing
+  const idleTimerRef = useRef(null);
+
+  // Remove this user's typing signal
+  const stopTyping = useCallback(() => {
+    clearTimeout(idleTimerRef.current);
+    if (!conversationId || !email || !lastPublishedRef.current) return;
+
+    lastPublishedRef.current = 0;
+    deleteDoc(doc(typingCollection(conversationId), email))
+      .catch((error) => console.error('Error clearing typing state:', error));
+  }, [conversationId, email]);
+
+  // Called on every composer change; publishes at most once per refresh interval
+  const onInputTextChanged = useCallback((text) => {
+    if (!conversationId || !email) return;
+
+    if (!text || !text.trim()) {
+      stopTyping();
+      return;
+    }
+
+    const now = Date.now();
+    if (now - lastPublishedRef.current > TYPING_REFRESH_MS) {
+      lastPublishedRef.current = now;
+      setDoc(doc(typingCollection(conversationId), email), {
+        email,
+        expiresAt: new Date(now + TYPING_TTL_MS),
+      }).catch((error) => console.error('Error publishing typing state:', error));
+    }
+
+    clearTimeout(idleTimerRef.current);
+    idleTimerRef.current = setTimeout(stopTyping, TYPING_IDLE_MS);
+  }, [conversationId, email, stopTyping]);
+
+  // Clear the signal when leaving the conversation or backgrounding the app
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') stopTyping();
+    });
+
+    return () => {
+      subscription.remove();
+      stopTyping();
+    };
+  }, [stopTyping]);
+
+  // Listen to other participants' typing signals
+  useEffect(() => {
+    setTypingUsers([]);
+    if (!conversationId || !email) return;
+
+    let signals = [];
+    let expiryTimer = null;
+
+    // Keep only unexpired signals and re-check when the next one expires
+    const refresh = () => {
+      clearTimeout(expiryTimer);
+      const now = Date.now();
+      const active = signals.filter((signal) => signal.expiresAt > now);
+      setTypingUsers(active.map((signal) => signal.email));
+
+      if (active.length > 0) {
+        const nextExpiry = Math.min(...active.map((signal) => signal.expiresAt));
+        expiryTimer = setTimeout(refresh, nextExpiry - now + 50);
+      }
+    };
+
+    const unsubscribe = onSnapshot(typingCollection(conversationId), (snapshot) => {
+      signals = snapshot.docs
+        .filter((typingDoc) => typingDoc.id !== email)
+        .map((typingDoc) => ({
+          email: typingDoc.id,
+          expiresAt: typingDoc.data().expiresAt?.toMillis?.() || 0,
+        }));
+      refresh();
+    }, (error) => {
+      console.error('Error listening to typing state:', error);
+    });
+
+    return () => {
+      clearTimeout(expiryTimer);
+      unsubscribe();
+    };
+  }, [conversationId, email]);
+
+  return { typingUsers, onInputTextChanged, stopTyping };
+}
@@ -0,0 +1,72 @@
+// Voice note helpers: recording with expo-av and making sure only one note plays at a time
+import { Audio } from 'expo-av';
+
+// Recordings shorter than this are discarded (accidental taps on the mic button)
+export const MIN_RECORDING_MS = 1000;
+
+// Start recording from the microphone
+// Returns the Audio.Recording, or null when microphone permission is denied
+// onStatus receives the recording status (durationMillis) several times per second
+export const startRecording = async (onStatus) => {
+  const permission = await Audio.requestPermissionsAsync();
+  if (!permission.granted) return null;
+
+  // iOS only records when the audio session allows it
+  await Audio.setAudioModeAsync({ allowsRecordingIOS: true, playsInSilentModeIOS: true });
+
+  const { recording } = await Audio.Recording.createAsync(
+    Audio.RecordingOptionsPresets.HIGH_QUALITY,
+    onStatus,
+    200
+  );
+  return recording;
+};
+
+// Stop a recording and return { uri, durationMs }
+export const stopRecording = async (recording) => {
+  const status = await recording.stopAndUnloadAsync();
+  await Audio.setAudioModeAsync({ allowsRecordingIOS: false });
+  return { uri: recording.getURI(), durationMs: status.durationMillis };
+};
+
+// Stop a recording and throw the audio away
+export const cancelRecording = async (recording) => {
+  try {
+    await recording.stopAndUnloadAsync();
+  } catch (error) {
+    // Recording may already be stopped; nothing left to clean up
+  }
+  await Audio.setAudioModeAsync({ allowsRecordingIOS: false });
+};
+
+// Playback of one note at a time
+// The currently playing sound and the callback that resets its player UI
+let activeSound = null;
+let onActiveStopped = null;
+
+// Play a sound, pausing whichever other note is playing
+export const playExclusive = async (sound, onStopped) => {
+  if (activeSound && activeSound !== sound) {
+    await activeSound.pauseAsync().catch(() => {});
+    onActiveStopped?.();
+  }
+  activeSound = sound;
+  onActiveStopped = onStopped;
+  await sound.playAsync();
+};
+
+// Forget a sound that is being unloaded (player unmounted)
+export const releasePlayback = (sound) => {
+  if (activeSound === sound) {
+    activeSound = null;
+    onActiveStopped = null;
+  }
+};
+
+// Format milliseconds as m:ss
+export const formatDuration = (millis = 0) => {
+  const totalSeconds = Math.floor(millis / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};